@@ -1,6 +1,41 @@
 /**
  * Vimeo Lightbox System
  * Enhanced with timeline controls, pause feedback, and iframe management
+ *
+ * Public API: once initialized the instance is available as window.vimeoLightbox and is also
+ * passed as event.detail of a 'vimeolightbox:ready' event on document (once per instance).
+ *
+ * Multiple galleries: set VimeoLightboxConfig.instances to an array of instance options, e.g.
+ *   [{ root: '#lightbox-music', tileSelector: '.music .project-data', selectors: { frame: '.video-frame',
+ *      title: '.video-title' }, wrapNavigation: false }]
+ * Each gets its own modal and tiles (window.vimeoLightboxes lists them all; window.vimeoLightbox is the
+ * first), and `new VimeoLightbox(options)` is available as window.VimeoLightbox once initialized.
+ *
+ *   vimeoLightbox.open(videoIdOrTile, { title, startTime })
+ *   vimeoLightbox.close()
+ *   vimeoLightbox.play() / .pause()      -> Promise
+ *   vimeoLightbox.seek(seconds)          -> Promise
+ *   vimeoLightbox.getState()             -> { isOpen, videoId, title, isPlaying, currentTime, duration, isMuted }
+ *   vimeoLightbox.on(event, handler) / .off(event, handler)
+ *   vimeoLightbox.registerProvider(name, { tagName, isAvailable, createPlayer, createLoopElement,
+ *                                          monitorLoopElement, pauseLoopElement, playLoopElement })
+ *
+ * Tiles pick a provider with data-provider="vimeo|youtube|html5" (inferred from data-main-video when
+ * omitted); data-main-video holds a Vimeo ID, a YouTube ID/URL, or a media file URL respectively.
+ * A series goes in data-playlist="id1|Teaser,id2|Full cut,id3" (titles optional); it opens on the first entry.
+ *
+ * Events: open, navigate, ready, play, pause, timeupdate, ended, error, close
+ *
+ * Keyboard (while open): Left/Right previous/next project, J/L seek 10s (Left/Right seek 5s while the
+ * timeline has focus). The full list is on handleKeydown.
+ *
+ * Languages: built-in strings come in en, de and ja and follow <html lang> (or VimeoLightboxConfig.locale);
+ * add or patch dictionaries with VimeoLightboxConfig.messages and single strings with data-i18n-<key>
+ * attributes on the lightbox root. RTL languages (or dir="rtl") mirror the timeline.
+ *
+ * Analytics: set VimeoLightboxConfig.analytics = { dataLayer, gtag, callback, beaconUrl } to receive
+ * video_impression, video_open, video_start, video_pause, video_seek, video_progress, video_complete,
+ * video_close (with watch_time) and video_error, each carrying video_id (data-main-video) and video_title.
  */
 
 // Basic config and debug helpers
@@ -8,25 +43,1079 @@ let vimeoApiAttempts = 0;
 const maxVimeoApiAttempts = 20; // ~2s total
 const INIT_RETRY_DELAY_MS = 100;
 const DEBUG = false;
+const VOLUME_STORAGE_KEY = 'vimeoLightbox:volume';
+const PLAYBACK_RATE_STORAGE_KEY = 'vimeoLightbox:playbackRate';
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+// Touch gestures on the video surface (see setupTouchGestures)
+const DOUBLE_TAP_MS = 300; // single taps and clicks wait this long for a second one
+const DOUBLE_TAP_SEEK_SECONDS = 10;
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_RATE = 2;
+const TAP_MOVE_TOLERANCE_PX = 10;
+const SWIPE_CLOSE_DISTANCE = 0.2; // fraction of the viewport height a downward drag needs to close
+const SWIPE_CLOSE_FLICK_PX = 50; // ...or this far in under 250ms
+const CAPTIONS_STORAGE_KEY = 'vimeoLightbox:captions';
+const POSITIONS_STORAGE_KEY = 'vimeoLightbox:positions';
+const MAX_STORED_POSITIONS = 50;
+const MIN_RESUME_SECONDS = 5; // earlier positions are not worth a prompt
+const POSITION_SAVE_INTERVAL_MS = 5000;
+const STALL_INDICATOR_DELAY_MS = 800; // brief rebuffers pass without any indicator
+const END_ACTIONS = ['replay', 'next', 'close', 'none'];
+const PLAYER_READY_TIMEOUT_MS = 20000;
+const LOOP_LOAD_TIMEOUT_MS = 8000;
+const LOOP_MAX_RETRIES = 2;
+const LOOP_RETRY_BASE_MS = 2000; // doubles after each failed attempt
+const RETRYABLE_ERRORS = ['network', 'generic'];
+
+// Behaviour defaults; sites can override any key via window.VimeoLightboxConfig before this script loads
+const DEFAULT_CONFIG = {
+    wrapNavigation: true, // prev/next wraps from the last tile to the first and vice versa
+    swipeThreshold: 50, // px of horizontal travel before a touch swipe changes video
+    urlSync: false, // mirror the open video in the URL hash (#video=ID&t=SECONDS) and browser history
+    renderCaptions: false, // draw caption cues in our own overlay instead of leaving it to the player
+    resumePlayback: true, // offer to resume partly watched videos (opt out per tile with data-resume="false")
+    analytics: null, // engagement sinks: { dataLayer: true, gtag: true, callback(event), beaconUrl, batchSize, flushIntervalMs }
+    onEnd: 'none', // what happens when a video ends: 'replay', 'next' (end screen with up next), 'close' or 'none'; per tile via data-on-end
+    endScreenCountdown: 8, // seconds before the end screen loads the next tile; 0 waits for a click
+    loopRootMargin: '200px', // thumbnail loops load once a tile comes this close to the viewport
+    maxPlayingLoops: 4, // loops playing at once; the rest stay paused until they scroll into view (0 = no cap)
+    // 'auto' autoplays loops unless the viewer prefers reduced motion or saves data (then 'hover');
+    // force 'autoplay', 'hover' (load and play only while a tile is hovered or focused) or 'off' (cover image only)
+    thumbnailLoops: 'auto',
+    controlsIdleTimeout: 3000, // ms without pointer, touch or key activity before controls and cursor fade during playback (0 = never)
+    locale: null, // language of the built-in strings; defaults to the lang of the lightbox root or <html>
+    messages: null // extra or replacement dictionaries, e.g. { fr: { play: 'Lecture' }, de: { close: 'Zu' } }
+};
+const LOOP_MODES = ['autoplay', 'hover', 'off'];
+
+function getLightboxConfig() {
+    const siteConfig = (typeof window.VimeoLightboxConfig === 'object' && window.VimeoLightboxConfig) || {};
+    return Object.assign({}, DEFAULT_CONFIG, siteConfig);
+}
+
+// Which modal and tiles an instance owns; any other option key overrides the matching DEFAULT_CONFIG key
+const DEFAULT_INSTANCE_OPTIONS = {
+    root: '#lightbox', // modal element or selector
+    tileSelector: '.open-lightbox .project-data',
+    selectors: {
+        frame: '#lightbox-iframe', // looked up inside the root
+        title: '#video-title',
+        thumbnail: '.video-thumbnail' // looked up inside each tile
+    }
+};
+
+function resolveInstanceOptions(options = {}) {
+    return Object.assign({}, DEFAULT_INSTANCE_OPTIONS, options, {
+        selectors: Object.assign({}, DEFAULT_INSTANCE_OPTIONS.selectors, options.selectors)
+    });
+}
+
+// One entry per lightbox on the page: config.instances, or a single default instance
+function getInstanceOptionsList() {
+    const { instances } = getLightboxConfig();
+    const list = Array.isArray(instances) && instances.length ? instances : [{}];
+    return list.map(resolveInstanceOptions);
+}
+
+function resolveElement(target) {
+    if (typeof target === 'string') return document.querySelector(target);
+    return target && target.nodeType === 1 ? target : null;
+}
+
+// Document/window listeners are bound once and fanned out, so extra instances do not stack handlers
+const sharedListeners = new Map();
+
+// Returns a function that takes the handler back out
+function addSharedListener(target, type, handler) {
+    const key = `${target === window ? 'window' : 'document'}:${type}`;
+    let handlers = sharedListeners.get(key);
+    if (!handlers) {
+        handlers = new Set();
+        sharedListeners.set(key, handlers);
+        target.addEventListener(type, (event) => handlers.forEach(fn => {
+            // One instance's failure must not keep the event from the others
+            try {
+                fn(event);
+            } catch (error) {
+                console.error(`Error in shared '${type}' listener:`, error);
+            }
+        }));
+    }
+    handlers.add(handler);
+    return () => handlers.delete(handler);
+}
+
+// Animation-frame scheduling with a timer fallback for environments without it
+function requestFrame(callback) {
+    return typeof window.requestAnimationFrame === 'function' ? window.requestAnimationFrame(callback) : setTimeout(callback, 16);
+}
+
+function cancelFrame(id) {
+    if (typeof window.cancelAnimationFrame === 'function') window.cancelAnimationFrame(id);
+    else clearTimeout(id);
+}
+
+// ================================
+// Localisation
+// ================================
+// One dictionary per language; missing keys fall back to the base language and then to English.
+// {name} placeholders are filled in by VimeoLightbox#t. Single strings can be overridden per lightbox
+// with data-i18n-<key> attributes on its root, e.g. data-i18n-tap-to-unmute="Tap for sound".
+const MESSAGES = {
+    en: {
+        videoPlayer: 'Video player',
+        close: 'Close',
+        closeVideo: 'Close video',
+        prev: 'Prev',
+        previousVideo: 'Previous video',
+        next: 'Next',
+        nextVideo: 'Next video',
+        playVideo: 'Play video: {title}',
+        play: 'Play',
+        pause: 'Pause',
+        playing: 'Playing',
+        paused: 'Paused',
+        mute: 'Mute',
+        unmute: 'Unmute',
+        muted: 'Muted',
+        unmuted: 'Unmuted',
+        tapToUnmute: 'Tap to unmute',
+        volume: 'Volume',
+        volumeLevel: 'Volume {percent}',
+        seek: 'Seek',
+        seekDelta: '{delta}s',
+        timeOf: '{current} of {total}',
+        captions: 'Captions',
+        captionsButton: 'Subtitles/closed captions',
+        captionsOff: 'Captions off',
+        off: 'Off',
+        playbackSpeed: 'Playback speed',
+        playbackRate: '{rate}x',
+        pip: 'PiP',
+        exitPip: 'Exit PiP',
+        pictureInPicture: 'Picture-in-picture',
+        exitPictureInPicture: 'Exit picture-in-picture',
+        fullscreen: 'Fullscreen',
+        exitFullscreen: 'Exit fullscreen',
+        resume: 'Resume',
+        startOver: 'Start over',
+        resumeFrom: 'Resume from {time}?',
+        resumeAvailable: 'Resume from {time} available',
+        playlist: 'Playlist',
+        part: 'Part {number}',
+        playingEntry: 'Playing {title} of {count}',
+        upNext: 'Up next',
+        playNext: 'Play next: {title}',
+        playingIn: 'Playing in {seconds}s',
+        cancel: 'Cancel',
+        replay: 'Replay',
+        videoEnded: 'Video ended',
+        videoEndedUpNext: 'Video ended. Up next: {title}',
+        retry: 'Retry',
+        privacyErrorTitle: "This video can't be played here",
+        privacyErrorSubtitle: 'Its privacy settings do not allow playback on this site.',
+        notFoundErrorTitle: 'Video not found',
+        notFoundErrorSubtitle: 'It may have been moved or removed.',
+        networkErrorTitle: "Couldn't load the video",
+        networkErrorSubtitle: 'Check your connection and try again.',
+        genericErrorTitle: "Oops! Looks like we're updating",
+        genericErrorSubtitle: 'Video preview not available. Check back soon.'
+    },
+    de: {
+        videoPlayer: 'Videoplayer',
+        close: 'Schließen',
+        closeVideo: 'Video schließen',
+        prev: 'Zurück',
+        previousVideo: 'Vorheriges Video',
+        next: 'Weiter',
+        nextVideo: 'Nächstes Video',
+        playVideo: 'Video abspielen: {title}',
+        play: 'Abspielen',
+        pause: 'Pause',
+        playing: 'Wird abgespielt',
+        paused: 'Pausiert',
+        mute: 'Stumm',
+        unmute: 'Ton an',
+        muted: 'Stummgeschaltet',
+        unmuted: 'Ton an',
+        tapToUnmute: 'Tippen für Ton',
+        volume: 'Lautstärke',
+        volumeLevel: 'Lautstärke {percent}',
+        seek: 'Wiedergabeposition',
+        seekDelta: '{delta} s',
+        timeOf: '{current} von {total}',
+        captions: 'Untertitel',
+        captionsButton: 'Untertitel',
+        captionsOff: 'Untertitel aus',
+        off: 'Aus',
+        playbackSpeed: 'Wiedergabegeschwindigkeit',
+        playbackRate: '{rate}x',
+        pip: 'BiB',
+        exitPip: 'BiB beenden',
+        pictureInPicture: 'Bild-im-Bild',
+        exitPictureInPicture: 'Bild-im-Bild beenden',
+        fullscreen: 'Vollbild',
+        exitFullscreen: 'Vollbild beenden',
+        resume: 'Fortsetzen',
+        startOver: 'Von vorn',
+        resumeFrom: 'Bei {time} fortsetzen?',
+        resumeAvailable: 'Fortsetzen bei {time} möglich',
+        playlist: 'Playlist',
+        part: 'Teil {number}',
+        playingEntry: '{title} von {count} wird abgespielt',
+        upNext: 'Als Nächstes',
+        playNext: 'Als Nächstes abspielen: {title}',
+        playingIn: 'Startet in {seconds} s',
+        cancel: 'Abbrechen',
+        replay: 'Erneut abspielen',
+        videoEnded: 'Video beendet',
+        videoEndedUpNext: 'Video beendet. Als Nächstes: {title}',
+        retry: 'Erneut versuchen',
+        privacyErrorTitle: 'Dieses Video kann hier nicht abgespielt werden',
+        privacyErrorSubtitle: 'Die Datenschutzeinstellungen erlauben keine Wiedergabe auf dieser Website.',
+        notFoundErrorTitle: 'Video nicht gefunden',
+        notFoundErrorSubtitle: 'Es wurde möglicherweise verschoben oder entfernt.',
+        networkErrorTitle: 'Das Video konnte nicht geladen werden',
+        networkErrorSubtitle: 'Prüfe deine Verbindung und versuche es erneut.',
+        genericErrorTitle: 'Hoppla! Wir aktualisieren gerade',
+        genericErrorSubtitle: 'Videovorschau nicht verfügbar. Schau bald wieder vorbei.'
+    },
+    ja: {
+        videoPlayer: 'ビデオプレーヤー',
+        close: '閉じる',
+        closeVideo: '動画を閉じる',
+        prev: '前へ',
+        previousVideo: '前の動画',
+        next: '次へ',
+        nextVideo: '次の動画',
+        playVideo: '動画を再生: {title}',
+        play: '再生',
+        pause: '一時停止',
+        playing: '再生中',
+        paused: '一時停止中',
+        mute: 'ミュート',
+        unmute: 'ミュート解除',
+        muted: 'ミュート中',
+        unmuted: 'ミュート解除',
+        tapToUnmute: 'タップして音声をオン',
+        volume: '音量',
+        volumeLevel: '音量 {percent}',
+        seek: '再生位置',
+        seekDelta: '{delta}秒',
+        timeOf: '{current} / {total}',
+        captions: '字幕',
+        captionsButton: '字幕',
+        captionsOff: '字幕オフ',
+        off: 'オフ',
+        playbackSpeed: '再生速度',
+        playbackRate: '{rate}倍速',
+        pip: 'PiP',
+        exitPip: 'PiP終了',
+        pictureInPicture: 'ピクチャー・イン・ピクチャー',
+        exitPictureInPicture: 'ピクチャー・イン・ピクチャーを終了',
+        fullscreen: '全画面',
+        exitFullscreen: '全画面を終了',
+        resume: '続きから再生',
+        startOver: '最初から',
+        resumeFrom: '{time}から再生しますか？',
+        resumeAvailable: '{time}から再生できます',
+        playlist: 'プレイリスト',
+        part: 'パート{number}',
+        playingEntry: '{count}本中 {title} を再生中',
+        upNext: '次の動画',
+        playNext: '次を再生: {title}',
+        playingIn: '{seconds}秒後に再生',
+        cancel: 'キャンセル',
+        replay: 'もう一度見る',
+        videoEnded: '動画が終了しました',
+        videoEndedUpNext: '動画が終了しました。次は {title}',
+        retry: '再試行',
+        privacyErrorTitle: 'この動画はここでは再生できません',
+        privacyErrorSubtitle: 'プライバシー設定により、このサイトでは再生できません。',
+        notFoundErrorTitle: '動画が見つかりません',
+        notFoundErrorSubtitle: '移動または削除された可能性があります。',
+        networkErrorTitle: '動画を読み込めませんでした',
+        networkErrorSubtitle: '接続を確認して、もう一度お試しください。',
+        genericErrorTitle: '現在更新中です',
+        genericErrorSubtitle: '動画プレビューは利用できません。しばらくしてからご確認ください。'
+    }
+};
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// Markup strings translated on init: [selector, text key, aria-label key]. Elements with child
+// elements (icon buttons) keep their content and only get the label.
+const STATIC_MESSAGES = [
+    ['.lightbox-close', 'close', 'closeVideo'],
+    ['.lightbox-prev', 'prev', 'previousVideo'],
+    ['.lightbox-next', 'next', 'nextVideo'],
+    ['.control-text', 'paused'],
+    ['.resume-btn', 'resume'],
+    ['.start-over-btn', 'startOver'],
+    ['.error-text', 'genericErrorTitle'],
+    ['.error-subtitle', 'genericErrorSubtitle'],
+    ['.error-retry-btn', 'retry'],
+    ['.end-screen-label', 'upNext'],
+    ['.end-screen-cancel', 'cancel'],
+    ['.end-screen-replay', 'replay'],
+    ['.end-screen-close', 'close'],
+    ['.playlist-items', null, 'playlist'],
+    ['.play-btn', 'play'],
+    ['.mute-btn', 'mute', 'mute'],
+    ['.volume-slider', null, 'volume'],
+    ['.cc-btn', null, 'captionsButton'],
+    ['.captions-menu', null, 'captions'],
+    ['.speed-select', null, 'playbackSpeed'],
+    ['.pip-btn', 'pip', 'pictureInPicture'],
+    ['.fullscreen-btn', 'fullscreen', 'fullscreen'],
+    ['.timeline-container', null, 'seek']
+];
+
+// 'de-AT' reads de-at, then de, then en
+function resolveMessages(locale, siteMessages, root) {
+    const parts = String(locale || 'en').toLowerCase().split('-');
+    const chain = ['en'];
+    parts.forEach((_, index) => chain.push(parts.slice(0, index + 1).join('-')));
+    const custom = {};
+    Object.keys(siteMessages || {}).forEach(lang => { custom[lang.toLowerCase()] = siteMessages[lang]; });
+    const messages = {};
+    chain.forEach(lang => Object.assign(messages, MESSAGES[lang], custom[lang]));
+    Object.keys(root.dataset).forEach(key => {
+        if (/^i18n[A-Z]/.test(key)) messages[key.charAt(4).toLowerCase() + key.slice(5)] = root.dataset[key];
+    });
+    return messages;
+}
+
+// Intl digits for the locale (no grouping), or plain ASCII digits where Intl is unavailable
+function createNumberFormatter(locale, options = {}) {
+    try {
+        const format = new Intl.NumberFormat(locale, Object.assign({ useGrouping: false }, options));
+        return value => format.format(value);
+    } catch (_) {
+        if (options.style === 'percent') return value => `${Math.round(value * 100)}%`;
+        return value => String(value).padStart(options.minimumIntegerDigits || 1, '0');
+    }
+}
+
+// Viewer preferences that make 'auto' thumbnail loops hover-only; both can change while the page is open
+const reducedMotionQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+const loopPreferenceHandlers = new Set();
+
+function prefersReducedLoops() {
+    if (reducedMotionQuery && reducedMotionQuery.matches) return true;
+    const connection = navigator.connection;
+    return !!(connection && (connection.saveData || /(^|-)2g$/.test(connection.effectiveType || '')));
+}
+
+function onLoopPreferenceChange(handler) {
+    if (!loopPreferenceHandlers.size) {
+        const notify = () => loopPreferenceHandlers.forEach(fn => fn());
+        if (reducedMotionQuery) {
+            // Safari < 14 only has the legacy addListener
+            if (typeof reducedMotionQuery.addEventListener === 'function') reducedMotionQuery.addEventListener('change', notify);
+            else if (typeof reducedMotionQuery.addListener === 'function') reducedMotionQuery.addListener(notify);
+        }
+        const connection = navigator.connection;
+        if (connection && typeof connection.addEventListener === 'function') connection.addEventListener('change', notify);
+    }
+    loopPreferenceHandlers.add(handler);
+}
+
+// ================================
+// Video providers
+// ================================
+// Each provider mounts a video into a host element and returns a player that mirrors the
+// promise-based Vimeo.Player API used by the lightbox (on/off, ready, play, pause,
+// getDuration, setCurrentTime, volume/mute, destroy) and emits the same event names
+// (play, pause, timeupdate, ended, volumechange, seeking, seeked, error, progress, bufferstart, bufferend).
+// createPlayer receives { renderCaptions } so native players can leave cue drawing to the lightbox.
+
+// Shared base for non-Vimeo players: a tiny event emitter
+class ProviderPlayer {
+    constructor() {
+        this.handlers = {};
+        this.readyPromise = Promise.resolve();
+    }
+
+    on(eventName, handler) {
+        (this.handlers[eventName] = this.handlers[eventName] || []).push(handler);
+    }
+
+    off(eventName, handler) {
+        if (!this.handlers[eventName]) return;
+        this.handlers[eventName] = handler ? this.handlers[eventName].filter(h => h !== handler) : [];
+    }
+
+    emit(eventName, data = {}) {
+        (this.handlers[eventName] || []).slice().forEach(handler => {
+            try { handler(data); } catch (error) { console.error(`Error in player '${eventName}' handler:`, error); }
+        });
+    }
+
+    ready() {
+        return this.readyPromise;
+    }
+}
+
+function createPlayerError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+// Sort Player API errors (error event payloads and ready() rejections) into the kinds that have their
+// own messages (<kind>ErrorTitle / <kind>ErrorSubtitle in MESSAGES)
+function classifyPlayerError(error) {
+    const name = String((error && error.name) || '');
+    const message = String((error && error.message) || '').toLowerCase();
+    if (name === 'PrivacyError' || name === 'PasswordError' || /privacy|private|password|domain|not allowed to be embedded/.test(message)) return 'privacy';
+    if (name === 'NotFoundError' || /not found|404|does not exist/.test(message)) return 'notFound';
+    if (name === 'NetworkError' || name === 'TimeoutError' || /network|timed? ?out|failed to fetch/.test(message)) return 'network';
+    return 'generic';
+}
+
+function getMediaElementError(video) {
+    const code = video.error ? video.error.code : 0;
+    // MEDIA_ERR_NETWORK = 2, MEDIA_ERR_SRC_NOT_SUPPORTED = 4
+    if (code === 2) return createPlayerError('NetworkError', 'The video could not be downloaded');
+    if (code === 4) return createPlayerError('NotFoundError', 'The video source is missing or unsupported');
+    return createPlayerError('Error', 'The video could not be played');
+}
+
+/**
+ * Native <video> player for self-hosted MP4/WebM and HLS (natively or via a page-provided hls.js)
+ */
+class Html5Player extends ProviderPlayer {
+    constructor(video, src, options = {}) {
+        super();
+        this.video = video;
+        this.hls = null;
+        this.domHandlers = [];
+        this.activeTrack = null;
+        this.trackMode = options.renderCaptions ? 'hidden' : 'showing';
+        this.handleCueChange = () => {
+            const cues = this.activeTrack && this.activeTrack.activeCues ? Array.from(this.activeTrack.activeCues) : [];
+            this.emit('cuechange', { cues: cues.map(cue => ({ text: cue.text })), language: this.activeTrack ? this.activeTrack.language : null });
+        };
+
+        const listen = (type, handler) => {
+            video.addEventListener(type, handler);
+            this.domHandlers.push([type, handler]);
+        };
+        const timeData = () => {
+            const duration = isFinite(video.duration) ? video.duration : 0;
+            return { seconds: video.currentTime, duration, percent: duration ? video.currentTime / duration : 0 };
+        };
+
+        listen('play', () => this.emit('play', timeData()));
+        listen('pause', () => this.emit('pause', timeData()));
+        listen('timeupdate', () => this.emit('timeupdate', timeData()));
+        listen('seeking', () => this.emit('seeking', timeData()));
+        listen('seeked', () => this.emit('seeked', timeData()));
+        listen('ended', () => this.emit('ended', timeData()));
+        listen('volumechange', () => this.emit('volumechange', { volume: video.volume, muted: video.muted }));
+        listen('error', () => this.emit('error', this.getMediaError()));
+        listen('ratechange', () => this.emit('playbackratechange', { playbackRate: video.playbackRate }));
+        listen('progress', () => this.emit('progress', this.getBufferedData()));
+        listen('waiting', () => this.emit('bufferstart', {}));
+        listen('playing', () => this.emit('bufferend', {}));
+        listen('enterpictureinpicture', () => this.emit('enterpictureinpicture', {}));
+        listen('leavepictureinpicture', () => this.emit('leavepictureinpicture', {}));
+
+        this.readyPromise = new Promise((resolve, reject) => {
+            video.addEventListener('loadedmetadata', () => resolve(), { once: true });
+            this.on('error', reject);
+        });
+
+        this.attachSource(src);
+    }
+
+    attachSource(src) {
+        const isHls = /\.m3u8($|[?#])/i.test(src);
+        const nativeHls = !!this.video.canPlayType('application/vnd.apple.mpegurl');
+        if (isHls && !nativeHls && window.Hls && typeof window.Hls.isSupported === 'function' && window.Hls.isSupported()) {
+            this.hls = new window.Hls();
+            this.hls.loadSource(src);
+            this.hls.attachMedia(this.video);
+        } else {
+            this.video.src = src;
+        }
+    }
+
+    // Loaded fraction: end of the buffered range that contains the playhead
+    getBufferedData() {
+        const video = this.video;
+        const duration = isFinite(video.duration) ? video.duration : 0;
+        let end = 0;
+        for (let i = 0; i < video.buffered.length; i++) {
+            if (video.buffered.start(i) <= video.currentTime + 0.5) end = Math.max(end, video.buffered.end(i));
+        }
+        return { seconds: end, duration, percent: duration ? Math.min(1, end / duration) : 0 };
+    }
+
+    getMediaError() {
+        return getMediaElementError(this.video);
+    }
+
+    play() {
+        return Promise.resolve(this.video.play());
+    }
+
+    pause() {
+        this.video.pause();
+        return Promise.resolve();
+    }
+
+    getDuration() {
+        return this.ready().then(() => (isFinite(this.video.duration) ? this.video.duration : 0));
+    }
+
+    getCurrentTime() {
+        return Promise.resolve(this.video.currentTime);
+    }
+
+    setCurrentTime(seconds) {
+        this.video.currentTime = seconds;
+        return Promise.resolve(seconds);
+    }
+
+    getVolume() {
+        return Promise.resolve(this.video.volume);
+    }
+
+    setVolume(volume) {
+        this.video.volume = volume;
+        return Promise.resolve(volume);
+    }
+
+    getMuted() {
+        return Promise.resolve(this.video.muted);
+    }
+
+    setMuted(muted) {
+        this.video.muted = !!muted;
+        return Promise.resolve(this.video.muted);
+    }
+
+    getPlaybackRate() {
+        return Promise.resolve(this.video.playbackRate);
+    }
+
+    setPlaybackRate(rate) {
+        this.video.playbackRate = rate;
+        return Promise.resolve(rate);
+    }
+
+    // Text tracks come from <track> children or the HLS stream's subtitle renditions
+    getTextTracks() {
+        const tracks = Array.from(this.video.textTracks || []).filter(t => t.kind === 'captions' || t.kind === 'subtitles');
+        return Promise.resolve(tracks.map(t => ({ language: t.language, kind: t.kind, label: t.label, mode: t.mode })));
+    }
+
+    // `showing` mirrors Vimeo's third argument; without it the renderCaptions option decides
+    enableTextTrack(language, kind, showing) {
+        const tracks = Array.from(this.video.textTracks || []);
+        const track = tracks.find(t => t.language === language && (!kind || t.kind === kind));
+        if (!track) return Promise.reject(createPlayerError('InvalidTrackLanguageError', `No text track for ${language}`));
+        tracks.forEach(t => { if (t !== track) t.mode = 'disabled'; });
+        if (this.activeTrack) this.activeTrack.removeEventListener('cuechange', this.handleCueChange);
+        track.mode = showing === undefined ? this.trackMode : (showing ? 'showing' : 'hidden');
+        track.addEventListener('cuechange', this.handleCueChange);
+        this.activeTrack = track;
+        return Promise.resolve({ language: track.language, kind: track.kind, label: track.label });
+    }
+
+    disableTextTrack() {
+        Array.from(this.video.textTracks || []).forEach(t => { t.mode = 'disabled'; });
+        if (this.activeTrack) this.activeTrack.removeEventListener('cuechange', this.handleCueChange);
+        this.activeTrack = null;
+        this.emit('cuechange', { cues: [], language: null });
+        return Promise.resolve();
+    }
+
+    requestPictureInPicture() {
+        if (typeof this.video.requestPictureInPicture !== 'function') {
+            return Promise.reject(createPlayerError('UnsupportedError', 'Picture-in-picture is not supported'));
+        }
+        return this.video.requestPictureInPicture();
+    }
+
+    exitPictureInPicture() {
+        if (document.pictureInPictureElement !== this.video) return Promise.resolve();
+        return document.exitPictureInPicture();
+    }
+
+    destroy() {
+        if (this.activeTrack) this.activeTrack.removeEventListener('cuechange', this.handleCueChange);
+        this.activeTrack = null;
+        this.domHandlers.forEach(([type, handler]) => this.video.removeEventListener(type, handler));
+        this.domHandlers = [];
+        this.handlers = {};
+        try { if (this.hls) this.hls.destroy(); } catch (_) {}
+        this.hls = null;
+        try {
+            this.video.pause();
+            this.video.removeAttribute('src');
+            this.video.load();
+        } catch (_) {}
+        return Promise.resolve();
+    }
+}
+
+// Load the YouTube IFrame API once, on first use
+let youTubeApiPromise = null;
+function loadYouTubeApi() {
+    if (window.YT && window.YT.Player) return Promise.resolve(window.YT);
+    if (youTubeApiPromise) return youTubeApiPromise;
+    youTubeApiPromise = new Promise((resolve, reject) => {
+        const previousCallback = window.onYouTubeIframeAPIReady;
+        window.onYouTubeIframeAPIReady = () => {
+            if (typeof previousCallback === 'function') previousCallback();
+            resolve(window.YT);
+        };
+        const script = document.createElement('script');
+        script.src = 'https://www.youtube.com/iframe_api';
+        script.async = true;
+        script.onerror = () => {
+            youTubeApiPromise = null;
+            reject(createPlayerError('NetworkError', 'YouTube API failed to load'));
+        };
+        document.head.appendChild(script);
+    });
+    return youTubeApiPromise;
+}
+
+/**
+ * YouTube player; the IFrame API has no timeupdate/volumechange events, so both are polled while playing
+ */
+class YouTubePlayer extends ProviderPlayer {
+    constructor(iframe, videoId) {
+        super();
+        this.yt = null;
+        this.pollId = null;
+        this.lastVolume = null;
+        this.isBuffering = false;
+
+        const origin = encodeURIComponent(window.location.origin);
+        iframe.src = `https://www.youtube-nocookie.com/embed/${encodeURIComponent(videoId)}?enablejsapi=1&controls=0&playsinline=1&rel=0&modestbranding=1&iv_load_policy=3&origin=${origin}`;
+
+        this.readyPromise = loadYouTubeApi().then(YT => new Promise((resolve, reject) => {
+            this.yt = new YT.Player(iframe, {
+                events: {
+                    onReady: () => resolve(),
+                    onStateChange: (e) => this.handleStateChange(e.data),
+                    onPlaybackRateChange: (e) => this.emit('playbackratechange', { playbackRate: e.data }),
+                    onError: (e) => {
+                        const error = this.getYouTubeError(e.data);
+                        this.emit('error', error);
+                        reject(error);
+                    }
+                }
+            });
+        }));
+    }
+
+    handleStateChange(state) {
+        // -1 unstarted, 0 ended, 1 playing, 2 paused, 3 buffering, 5 cued
+        if (state === 1) {
+            if (this.isBuffering) {
+                this.isBuffering = false;
+                this.emit('bufferend', {});
+            }
+            this.emit('play', this.timeData());
+            this.startPolling();
+        } else if (state === 3) {
+            this.isBuffering = true;
+            this.emit('bufferstart', {});
+        } else if (state === 2) {
+            this.stopPolling();
+            this.emit('pause', this.timeData());
+        } else if (state === 0) {
+            this.stopPolling();
+            this.emit('ended', this.timeData());
+        }
+    }
+
+    getYouTubeError(code) {
+        if (code === 100) return createPlayerError('NotFoundError', 'The video was not found or is private');
+        if (code === 101 || code === 150) return createPlayerError('PrivacyError', 'The video owner does not allow embedding');
+        return createPlayerError('Error', `YouTube player error ${code}`);
+    }
+
+    timeData() {
+        const seconds = this.yt ? this.yt.getCurrentTime() || 0 : 0;
+        const duration = this.yt ? this.yt.getDuration() || 0 : 0;
+        return { seconds, duration, percent: duration ? seconds / duration : 0 };
+    }
+
+    startPolling() {
+        if (this.pollId) return;
+        this.pollId = setInterval(() => {
+            if (!this.yt) return;
+            this.emit('timeupdate', this.timeData());
+            const loaded = this.yt.getVideoLoadedFraction() || 0;
+            this.emit('progress', { percent: loaded, duration: this.yt.getDuration() || 0 });
+            const volume = this.yt.getVolume() / 100;
+            const muted = this.yt.isMuted();
+            const key = `${volume}:${muted}`;
+            if (key !== this.lastVolume) {
+                this.lastVolume = key;
+                this.emit('volumechange', { volume, muted });
+            }
+        }, 250);
+    }
+
+    stopPolling() {
+        if (this.pollId) clearInterval(this.pollId);
+        this.pollId = null;
+    }
+
+    call(fn) {
+        return this.ready().then(() => fn(this.yt));
+    }
+
+    play() {
+        return this.call(yt => yt.playVideo());
+    }
+
+    pause() {
+        return this.call(yt => yt.pauseVideo());
+    }
+
+    getDuration() {
+        return this.call(yt => yt.getDuration() || 0);
+    }
+
+    getCurrentTime() {
+        return this.call(yt => yt.getCurrentTime() || 0);
+    }
+
+    setCurrentTime(seconds) {
+        return this.call(yt => {
+            this.emit('seeking', this.timeData());
+            yt.seekTo(seconds, true);
+            // No seek events from YouTube; report the new position straight away
+            this.emit('seeked', this.timeData());
+            this.emit('timeupdate', this.timeData());
+            return seconds;
+        });
+    }
+
+    getVolume() {
+        return this.call(yt => yt.getVolume() / 100);
+    }
+
+    setVolume(volume) {
+        return this.call(yt => {
+            yt.setVolume(Math.round(volume * 100));
+            return volume;
+        });
+    }
+
+    getMuted() {
+        return this.call(yt => yt.isMuted());
+    }
+
+    setMuted(muted) {
+        return this.call(yt => {
+            if (muted) yt.mute(); else yt.unMute();
+            return !!muted;
+        });
+    }
+
+    getPlaybackRate() {
+        return this.call(yt => yt.getPlaybackRate());
+    }
+
+    setPlaybackRate(rate) {
+        return this.call(yt => {
+            const available = yt.getAvailablePlaybackRates();
+            if (Array.isArray(available) && available.indexOf(rate) === -1) {
+                throw createPlayerError('RangeError', `Playback rate ${rate} is not available`);
+            }
+            yt.setPlaybackRate(rate);
+            return rate;
+        });
+    }
+
+    destroy() {
+        this.stopPolling();
+        this.handlers = {};
+        try { if (this.yt) this.yt.destroy(); } catch (_) {}
+        this.yt = null;
+        return Promise.resolve();
+    }
+}
+
+// Absolute-positioned loop media shared by all providers' thumbnail elements
+function styleLoopElement(el) {
+    el.style.position = 'absolute';
+    el.style.top = '-1%';
+    el.style.left = '-1%';
+    el.style.width = '102%';
+    el.style.height = '102%';
+    el.style.objectFit = 'cover';
+    el.style.transition = 'opacity 0.3s ease';
+    el.style.pointerEvents = 'none';
+    el.style.borderRadius = '8px';
+    el.style.zIndex = '2';
+}
+
+function createLoopIframe(src) {
+    const iframe = document.createElement('iframe');
+    iframe.src = src;
+    iframe.frameBorder = '0';
+    iframe.allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media';
+    iframe.setAttribute('playsinline', '1');
+    iframe.allowFullscreen = true;
+    styleLoopElement(iframe);
+    return iframe;
+}
+
+// Background loops are paused/resumed rather than destroyed; Vimeo through the Player API when it is loaded
+const vimeoLoopPlayers = new WeakMap();
+
+function getVimeoLoopPlayer(iframe) {
+    if (typeof Vimeo === 'undefined') return null;
+    let player = vimeoLoopPlayers.get(iframe);
+    if (!player) {
+        player = new Vimeo.Player(iframe);
+        vimeoLoopPlayers.set(iframe, player);
+    }
+    return player;
+}
+
+function controlVimeoLoop(iframe, method) {
+    const player = getVimeoLoopPlayer(iframe);
+    if (player) {
+        Promise.resolve(player[method]()).catch(() => {});
+    } else if (iframe.contentWindow) {
+        iframe.contentWindow.postMessage(JSON.stringify({ method }), 'https://player.vimeo.com');
+    }
+}
+
+// Needs enablejsapi=1 on the embed URL
+function controlYouTubeLoop(iframe, func) {
+    if (!iframe.contentWindow) return;
+    iframe.contentWindow.postMessage(JSON.stringify({ event: 'command', func, args: [] }), 'https://www.youtube-nocookie.com');
+}
+
+const VIDEO_PROVIDERS = {
+    vimeo: {
+        tagName: 'iframe',
+        hasBufferingSpinner: true, // Vimeo draws its own spinner inside the embed
+        isAvailable: () => typeof Vimeo !== 'undefined',
+        createPlayer(frame, videoId) {
+            // Use the normal embed on all platforms; background=1 disables audio
+            frame.src = `https://player.vimeo.com/video/${videoId}?autoplay=0&muted=0&controls=0&dnt=1&transparent=0&playsinline=1`;
+            return new Vimeo.Player(frame);
+        },
+        createLoopElement(videoId) {
+            const iframe = createLoopIframe(`https://player.vimeo.com/video/${videoId}?background=1&autoplay=1&loop=1&muted=1&controls=0&title=0&byline=0&portrait=0&playsinline=1`);
+            iframe.setAttribute('data-vimeo-background', 'true');
+            return iframe;
+        },
+        // Report a loop as loaded or failed; the Player API tells privacy/not-found errors apart
+        monitorLoopElement(iframe, onReady, onError) {
+            const player = getVimeoLoopPlayer(iframe);
+            if (!player) {
+                iframe.addEventListener('load', onReady);
+                return;
+            }
+            player.ready().then(onReady, onError);
+            player.on('error', (error) => {
+                // Failed method calls (e.g. a rejected play) are not load failures
+                if (error && error.method) return;
+                onError(error);
+            });
+        },
+        pauseLoopElement(iframe) {
+            controlVimeoLoop(iframe, 'pause');
+        },
+        playLoopElement(iframe) {
+            controlVimeoLoop(iframe, 'play');
+        }
+    },
+    youtube: {
+        tagName: 'iframe',
+        hasBufferingSpinner: true,
+        isAvailable: () => true,
+        createPlayer(frame, videoId) {
+            return new YouTubePlayer(frame, videoId);
+        },
+        createLoopElement(videoId) {
+            const id = encodeURIComponent(videoId);
+            // loop=1 only works together with playlist=<same id>
+            return createLoopIframe(`https://www.youtube-nocookie.com/embed/${id}?autoplay=1&mute=1&loop=1&playlist=${id}&controls=0&playsinline=1&rel=0&modestbranding=1&disablekb=1&iv_load_policy=3&enablejsapi=1`);
+        },
+        pauseLoopElement(iframe) {
+            controlYouTubeLoop(iframe, 'pauseVideo');
+        },
+        playLoopElement(iframe) {
+            controlYouTubeLoop(iframe, 'playVideo');
+        }
+    },
+    html5: {
+        tagName: 'video',
+        hasBufferingSpinner: false,
+        isAvailable: () => true,
+        createPlayer(frame, src, options) {
+            return new Html5Player(frame, src, options);
+        },
+        createLoopElement(src) {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.loop = true;
+            video.autoplay = true;
+            video.playsInline = true;
+            video.setAttribute('muted', '');
+            video.setAttribute('playsinline', '');
+            video.preload = 'metadata';
+            video.src = src;
+            styleLoopElement(video);
+            return video;
+        },
+        monitorLoopElement(video, onReady, onError) {
+            video.addEventListener('loadeddata', onReady);
+            video.addEventListener('error', () => onError(getMediaElementError(video)));
+        },
+        pauseLoopElement(video) {
+            video.pause();
+        },
+        playLoopElement(video) {
+            const playing = video.play();
+            if (playing && typeof playing.catch === 'function') playing.catch(() => {});
+        }
+    }
+};
+
+// Explicit data-provider wins; otherwise infer from the video value (YouTube URL, media file URL, or Vimeo ID)
+function detectProvider(value, explicit) {
+    const name = (explicit || '').toLowerCase().trim();
+    if (name) return name;
+    const str = String(value || '');
+    if (/(youtube\.com|youtube-nocookie\.com|youtu\.be)\//i.test(str)) return 'youtube';
+    if (/\.(mp4|webm|ogv|mov|m3u8)($|[?#])/i.test(str)) return 'html5';
+    return 'vimeo';
+}
+
+// Accept full YouTube URLs as well as bare IDs in data attributes
+function normalizeVideoId(provider, value) {
+    const str = String(value || '').trim();
+    if (provider === 'youtube') {
+        const match = str.match(/(?:youtu\.be\/|[?&]v=|\/embed\/|\/shorts\/)([\w-]{6,})/);
+        return match ? match[1] : str;
+    }
+    return str;
+}
+
+// Playlist entries from data-playlist ("id|Title" separated by commas); data-main-video, when set, is the first entry
+function getTilePlaylist(tile) {
+    const main = tile ? String(tile.dataset.mainVideo || '').trim() : '';
+    const entries = String((tile && tile.dataset.playlist) || '').split(',').map(entry => {
+        const [value, ...title] = entry.split('|');
+        return { value: value.trim(), title: title.join('|').trim() };
+    }).filter(entry => entry.value);
+    if (!main) return entries;
+    // Listed later (or not at all), the main video still opens first and keeps any listed title
+    const index = entries.findIndex(entry => entry.value === main);
+    const [entry] = index === -1 ? [{ value: main, title: '' }] : entries.splice(index, 1);
+    entries.unshift(entry);
+    return entries;
+}
+
+// The value that identifies a tile (deep links, stored positions): its first playlist entry
+function getTileMainValue(tile) {
+    const first = getTilePlaylist(tile)[0];
+    return first ? first.value : '';
+}
+
+// ================================
+// Analytics
+// ================================
+// Events are flat objects ({ event, video_id, video_title, ... }) fanned out to every sink enabled in
+// config.analytics. Beacon events are batched and flushed on size, on a timer, and when the page hides.
+const ANALYTICS_MILESTONES = [25, 50, 75];
+const ANALYTICS_BATCH_SIZE = 10;
+const ANALYTICS_FLUSH_INTERVAL_MS = 5000;
+
+class AnalyticsTracker {
+    constructor(options = {}) {
+        this.options = options;
+        this.queue = [];
+        this.flushTimeoutId = null;
+        if (options.beaconUrl) {
+            // Pages are often discarded without unload; pagehide/hidden is the last reliable moment to send
+            addSharedListener(window, 'pagehide', () => this.flush());
+            addSharedListener(document, 'visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+    }
+
+    track(eventName, params = {}) {
+        const { dataLayer = false, gtag = false, callback = null, beaconUrl = '' } = this.options;
+        const payload = Object.assign({ event: eventName }, params);
+        if (dataLayer) {
+            try { (window.dataLayer = window.dataLayer || []).push(payload); } catch (_) {}
+        }
+        if (gtag && typeof window.gtag === 'function') {
+            try { window.gtag('event', eventName, params); } catch (_) {}
+        }
+        if (typeof callback === 'function') {
+            try { callback(payload); } catch (error) { console.error('Error in analytics callback:', error); }
+        }
+        if (beaconUrl) this.enqueue(Object.assign({ timestamp: Date.now() }, payload));
+    }
+
+    enqueue(payload) {
+        const { batchSize = ANALYTICS_BATCH_SIZE, flushIntervalMs = ANALYTICS_FLUSH_INTERVAL_MS } = this.options;
+        this.queue.push(payload);
+        if (this.queue.length >= batchSize) {
+            this.flush();
+        } else if (!this.flushTimeoutId) {
+            this.flushTimeoutId = setTimeout(() => this.flush(), flushIntervalMs);
+        }
+    }
+
+    flush() {
+        if (this.flushTimeoutId) {
+            clearTimeout(this.flushTimeoutId);
+            this.flushTimeoutId = null;
+        }
+        if (!this.queue.length) return;
+        const url = this.options.beaconUrl;
+        // Plain-text body keeps the beacon a simple request (no CORS preflight)
+        const body = JSON.stringify({ events: this.queue.splice(0) });
+        let sent = false;
+        try { sent = typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(url, body); } catch (_) {}
+        if (!sent && typeof fetch === 'function') {
+            fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+        }
+    }
+}
 
 // Wait for DOM and Vimeo API to be ready
 function initLightbox() {
-    // Check if Vimeo Player API is available
-    if (typeof Vimeo === 'undefined') {
+    // Check if Vimeo Player API is available (only Vimeo tiles need it; other providers still work without it)
+    const instanceOptions = getInstanceOptionsList();
+    const pageUsesVimeo = instanceOptions
+        .some(options => Array.from(document.querySelectorAll(options.tileSelector))
+            .some(tile => getTilePlaylist(tile).some(entry => detectProvider(entry.value, tile.dataset.provider) === 'vimeo')));
+    if (typeof Vimeo === 'undefined' && pageUsesVimeo) {
         if (vimeoApiAttempts < maxVimeoApiAttempts) {
             vimeoApiAttempts++;
             if (DEBUG) console.warn('Vimeo Player API not loaded, retrying...');
             setTimeout(initLightbox, INIT_RETRY_DELAY_MS);
             return;
-        } else {
+        } else if (vimeoApiAttempts === maxVimeoApiAttempts) {
+            vimeoApiAttempts++;
             console.error('Vimeo API failed to load');
-            return;
         }
     }
     
     // Check if DOM elements exist
-    const lightboxElement = document.getElementById('lightbox');
-    if (!lightboxElement) {
+    const lightboxElementsExist = instanceOptions.every(options => resolveElement(options.root));
+    if (!lightboxElementsExist) {
         if (DEBUG) console.warn('Lightbox element not found, retrying...');
         setTimeout(initLightbox, INIT_RETRY_DELAY_MS);
         return;
@@ -44,55 +1133,82 @@ function initLightbox() {
         return withinViewport;
     }
 
-    // Observe DOM mutations for late-inserted lightbox/tiles
-    function observeDOMForLightbox() {
-        const observer = new MutationObserver(() => {
-            const lightboxExists = document.getElementById('lightbox');
-            const thumbnailsExist = document.querySelectorAll('.open-lightbox .video-thumbnail').length > 0;
-            const tilesExist = document.querySelectorAll('.open-lightbox .project-data').length > 0;
-            if (lightboxExists && (thumbnailsExist || tilesExist)) {
-                observer.disconnect();
-                initLightbox();
-            }
-        });
-        observer.observe(document.body, { childList: true, subtree: true });
-        setTimeout(() => observer.disconnect(), 10000);
-    }
+    // Every instance on the page, so an open lightbox can pause the other galleries' loops too
+    const lightboxInstances = new Set();
 
     /**
      * Vimeo Lightbox System
      */
     class VimeoLightbox {
-        constructor() {
+        constructor(options = {}) {
             try {
+                this.options = resolveInstanceOptions(options);
+                this.sharedListenerRemovers = [];
                 // Get main lightbox element
-                this.lightbox = document.getElementById('lightbox');
+                this.lightbox = resolveElement(this.options.root);
                 if (!this.lightbox) {
                     console.error('Lightbox element not found');
                     return;
                 }
 
                 // Get all required elements with null checks
-                this.videoFrame = document.getElementById('lightbox-iframe');
-                this.videoTitle = document.getElementById('video-title');
+                this.videoFrame = this.lightbox.querySelector(this.options.selectors.frame);
+                this.videoTitle = this.lightbox.querySelector(this.options.selectors.title);
                 this.playBtn = this.lightbox.querySelector('.play-btn');
+                this.muteBtn = this.lightbox.querySelector('.mute-btn');
+                this.volumeSlider = this.lightbox.querySelector('.volume-slider');
                 this.controlsLeft = this.lightbox.querySelector('.controls-left');
                 this.currentTimeEl = this.lightbox.querySelector('.current-time');
                 this.totalTimeEl = this.lightbox.querySelector('.total-time');
                 this.loading = this.lightbox.querySelector('.loading');
                 this.pauseIndicator = this.lightbox.querySelector('.control-indicator');
                 this.pauseText = this.lightbox.querySelector('.control-text');
+                this.resumeActions = this.lightbox.querySelector('.resume-actions');
+                this.resumeBtn = this.lightbox.querySelector('.resume-btn');
+                this.startOverBtn = this.lightbox.querySelector('.start-over-btn');
+                this.endScreen = this.lightbox.querySelector('.end-screen');
+                this.endScreenNext = this.lightbox.querySelector('.end-screen-next');
+                this.endScreenNextBtn = this.lightbox.querySelector('.end-screen-next-btn');
+                this.endScreenCover = this.lightbox.querySelector('.end-screen-cover');
+                this.endScreenTitle = this.lightbox.querySelector('.end-screen-title');
+                this.endScreenCountdownEl = this.lightbox.querySelector('.end-screen-countdown');
+                this.endScreenCancelBtn = this.lightbox.querySelector('.end-screen-cancel');
+                this.endScreenReplayBtn = this.lightbox.querySelector('.end-screen-replay');
+                this.endScreenCloseBtn = this.lightbox.querySelector('.end-screen-close');
+                this.playlistStrip = this.lightbox.querySelector('.playlist-strip');
+                this.playlistCounter = this.lightbox.querySelector('.playlist-counter');
+                this.playlistItems = this.lightbox.querySelector('.playlist-items');
                 this.errorPlaceholder = this.lightbox.querySelector('.video-error-placeholder');
+                this.errorTextEl = this.lightbox.querySelector('.error-text');
+                this.errorSubtitleEl = this.lightbox.querySelector('.error-subtitle');
+                this.retryBtn = this.lightbox.querySelector('.error-retry-btn');
                 this.controls = this.lightbox.querySelector('.controls');
                 this.closeBtn = this.lightbox.querySelector('.lightbox-close');
+                this.prevBtn = this.lightbox.querySelector('.lightbox-prev');
+                this.nextBtn = this.lightbox.querySelector('.lightbox-next');
                 this.clickArea = this.lightbox.querySelector('.click-area');
+                this.lightboxContainer = this.lightbox.querySelector('.lightbox-container');
+                this.seekRippleTimeouts = {};
+                this.fastForwardRestoreRate = null;
+                this.playerContainer = this.lightbox.querySelector('.custom-video-player');
+                this.fullscreenBtn = this.lightbox.querySelector('.fullscreen-btn');
+                this.pipBtn = this.lightbox.querySelector('.pip-btn');
+                this.speedSelect = this.lightbox.querySelector('.speed-select');
+                this.ccBtn = this.lightbox.querySelector('.cc-btn');
+                this.captionsMenu = this.lightbox.querySelector('.captions-menu');
+                this.captionsOverlay = this.lightbox.querySelector('.captions-overlay');
+                this.liveRegion = this.lightbox.querySelector('.lightbox-live-region');
                 
                 // Timeline elements
                 this.timelineContainer = this.lightbox.querySelector('.timeline-container');
                 this.timelineTrack = this.lightbox.querySelector('.timeline-track');
                 this.timelineProgress = this.lightbox.querySelector('.timeline-progress');
+                this.timelineBuffered = this.lightbox.querySelector('.timeline-buffered');
                 this.timelineHandle = this.lightbox.querySelector('.timeline-handle');
                 this.timelineHoverTime = this.lightbox.querySelector('.timeline-hover-time');
+                this.timelineChapters = this.lightbox.querySelector('.timeline-chapters');
+                this.timelinePreview = this.lightbox.querySelector('.timeline-preview');
+                this.chapterTitleEl = this.lightbox.querySelector('.video-chapter');
                 
                 // Log missing elements for debugging
                 this.logMissingElements();
@@ -119,14 +1235,70 @@ function initLightbox() {
                 this.savedSmootherY = 0;
                 this.lastUserGestureTs = 0;
                 this.autoUnmuteDone = false;
-                
-                this.setupEventListeners();
+                this.controlsIdleTimeoutId = null;
+                this.isHoveringControls = false;
+                // Instance options override the site-wide config for this lightbox only
+                const { root, tileSelector, selectors, ...behaviour } = this.options;
+                this.config = Object.assign(getLightboxConfig(), behaviour);
+                this.setupLocale();
+                this.projectTiles = [];
+                this.currentTileIndex = -1;
+                this.pushedHistoryEntry = false;
+                this.ignoreNextPopState = false;
+                this.prevScrollRestoration = null;
+                this.listeners = {};
+                this.providers = Object.assign({}, VIDEO_PROVIDERS);
+                this.currentVideoId = null;
+                this.currentProvider = null;
+                this.currentTime = 0;
+                this.returnFocusEl = null;
+                this.isInPictureInPicture = false;
+                this.playbackRate = this.loadPlaybackRate();
+                this.captionTracks = [];
+                this.activeCaptionLanguage = null;
+                this.currentVideoKey = null;
+                this.lastPositionSaveTs = 0;
+                this.skipResumePrompt = false;
+                this.resumeOffer = 0;
+                this.chapters = [];
+                this.currentChapterIndex = -1;
+                this.storyboard = null;
+                this.stallTimeoutId = null;
+                this.isStalled = false;
+                this.stallShowsLoader = false;
+                this.analytics = this.config.analytics ? new AnalyticsTracker(this.config.analytics) : null;
+                this.watchSession = null;
+                this.endScreenNextIndex = -1;
+                this.endCountdownId = null;
+                this.playlist = [];
+                this.playlistIndex = 0;
+                this.impressionObserver = null;
+                this.tileObserver = null;
+                this.tileSyncFrameId = null;
+                this.thumbnailWatchers = new Map();
+                this.loopStates = new Map(); // thumbnail -> { element, provider, videoId, playing }
+                this.nearViewportThumbnails = new Set();
+                this.loopObserver = null;
+                this.loopRetries = new Map(); // thumbnail -> failed attempts so far
+                this.hoveredThumbnails = new Set(); // 'hover' mode: tiles under the pointer or focused
+                this.loopMode = this.getLoopMode();
+                this.handleLoopPreferenceChange = () => this.applyLoopMode();
+                this.lastLoadRequest = null;
 
-                // No mute/unmute button; rely on system volume and play/pause only
+                // Volume/mute preference persists across videos and visits
+                const volumePref = this.loadVolumePreference();
+                this.volume = volumePref.volume;
+                this.preferMuted = volumePref.muted;
                 this.isMuted = true;
-                this.muteBtn = null;
+                
+                this.setupEventListeners();
+                this.updateMuteButtonLabel();
+                this.observeTileImpressions();
+                this.observeTiles();
     
+                this.setupLoopObserver();
                 this.initializeThumbnailIframes();
+                onLoopPreferenceChange(this.handleLoopPreferenceChange);
                 
                 // Debug after initialization is complete
                 if (DEBUG) {
@@ -135,14 +1307,17 @@ function initLightbox() {
                     }, 100);
                 }
 
-                // Reinitialize thumbnail loop iframes after bfcache restore or when tab becomes visible
+                // Resume thumbnail loops after bfcache restore or when tab becomes visible (existing iframes are reused)
                 const reinitThumbnails = () => {
                     // Delay slightly to ensure layout sizes are correct
-                    setTimeout(() => this.initializeThumbnailIframes(), 50);
+                    setTimeout(() => {
+                        this.initializeThumbnailIframes();
+                        this.updateLoopPlayback();
+                    }, 50);
                 };
 
                 // Handle back/forward cache restores
-                window.addEventListener('pageshow', (event) => {
+                this.listenShared(window, 'pageshow', (event) => {
                     try {
                         const navEntries = performance.getEntriesByType('navigation');
                         const isBackForward = Array.isArray(navEntries) && navEntries[0] && navEntries[0].type === 'back_forward';
@@ -155,39 +1330,216 @@ function initLightbox() {
                 });
 
                 // When tab/window becomes visible again
-                document.addEventListener('visibilitychange', () => {
+                this.listenShared(document, 'visibilitychange', () => {
                     if (document.visibilityState === 'visible') {
                         reinitThumbnails();
+                    } else {
+                        this.updateLoopPlayback();
                     }
                 });
                 
+                // Deep links: open the linked tile once page code has had window.vimeoLightbox (and
+                // vimeolightbox:ready) to subscribe with, then follow Back/Forward
+                if (this.config.urlSync) {
+                    this.listenShared(window, 'popstate', () => this.handlePopState());
+                    requestFrame(() => {
+                        if (lightboxInstances.has(this)) this.openFromUrl();
+                    });
+                }
+                
+                this.initialized = true;
+                lightboxInstances.add(this);
                 if (DEBUG) console.log('VimeoLightbox initialized');
             } catch (error) {
                 console.error('Error initializing VimeoLightbox:', error);
             }
         }
 
-        isAutoplayRestricted() {
-            const ua = navigator.userAgent || navigator.vendor || window.opera;
-            const isIOS = /iPad|iPhone|iPod/.test(ua) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
-            const isAndroid = /Android/.test(ua);
-            const isMobileChrome = /Chrome\/\d+/.test(ua) && /Mobile/.test(ua);
-            return isIOS || isAndroid || isMobileChrome;
+        on(eventName, handler) {
+            if (typeof handler !== 'function') return this;
+            (this.listeners[eventName] = this.listeners[eventName] || []).push(handler);
+            return this;
         }
 
-        destroy() {
-            try {
-                if (this.currentPlayer) {
-                    this.currentPlayer.destroy();
-                    this.currentPlayer = null;
+        off(eventName, handler) {
+            if (!this.listeners[eventName]) return this;
+            if (!handler) {
+                delete this.listeners[eventName];
+            } else {
+                this.listeners[eventName] = this.listeners[eventName].filter(h => h !== handler);
+            }
+            return this;
+        }
+
+        emit(eventName, data = {}) {
+            const handlers = this.listeners[eventName];
+            if (!handlers) return;
+            handlers.slice().forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error in lightbox '${eventName}' handler:`, error);
                 }
-            } catch (_) {}
+            });
         }
 
-        logMissingElements() {
-            const requiredElements = [
-                { name: 'videoFrame', element: this.videoFrame },
-                { name: 'videoTitle', element: this.videoTitle },
+        // Open by Vimeo ID (matched against tiles' data-main-video) or by tile/thumbnail element
+        open(target, options = {}) {
+            if (!target) return;
+            let tile = null;
+            let videoId;
+            if (typeof target === 'string' || typeof target === 'number') {
+                videoId = String(target);
+                tile = this.projectTiles.find(t => getTileMainValue(t) === videoId) || null;
+            } else if (target.nodeType === 1) {
+                tile = target.closest(this.options.tileSelector) || target;
+                videoId = getTileMainValue(tile);
+            }
+            if (!videoId) return;
+
+            // Already open: swap the video in place rather than closing and reopening
+            if (this.lightbox.classList.contains('active')) {
+                const resolved = tile ? this.getTileVideo(tile) : null;
+                this.switchVideo(resolved ? resolved.videoId : videoId, {
+                    title: options.title || (tile ? tile.dataset.title : ''),
+                    index: this.projectTiles.indexOf(tile),
+                    tile,
+                    startTime: options.startTime,
+                    provider: options.provider || (resolved ? resolved.provider : detectProvider(videoId))
+                });
+                return;
+            }
+
+            if (tile) {
+                this.openLightbox(this.getTileThumbnail(tile), options);
+            } else {
+                // Videos without a tile on the page are opened with the given title only
+                this.openLightbox(null, Object.assign({}, options, { videoId }));
+            }
+        }
+
+        close() {
+            this.closeLightbox();
+        }
+
+        play() {
+            if (!this.currentPlayer) return Promise.resolve();
+            return this.currentPlayer.play();
+        }
+
+        pause() {
+            if (!this.currentPlayer) return Promise.resolve();
+            return this.currentPlayer.pause();
+        }
+
+        seek(seconds) {
+            if (!this.currentPlayer) return Promise.resolve();
+            const max = this.videoDuration > 0 ? this.videoDuration : Infinity;
+            const target = Math.max(0, Math.min(max, Number(seconds) || 0));
+            this.currentTime = target;
+            if (this.videoDuration > 0) this.updateTimelinePosition(target / this.videoDuration);
+            return this.currentPlayer.setCurrentTime(target).catch(() => {});
+        }
+
+        getState() {
+            return {
+                isOpen: this.lightbox.classList.contains('active'),
+                videoId: this.currentVideoId,
+                provider: this.currentProvider,
+                title: this.videoTitle.textContent,
+                isPlaying: this.isPlaying,
+                currentTime: this.currentTime,
+                duration: this.videoDuration,
+                isMuted: this.isMuted
+            };
+        }
+
+        registerProvider(name, provider) {
+            if (!name || !provider || typeof provider.createPlayer !== 'function') {
+                console.error('Invalid video provider:', name);
+                return this;
+            }
+            this.providers[String(name).toLowerCase()] = Object.assign({ tagName: 'iframe', isAvailable: () => true }, provider);
+            return this;
+        }
+
+        // Resolve provider name and provider-native ID for a tile's main (or thumbnail) video
+        getTileVideo(tile, attr = 'mainVideo') {
+            const value = tile ? (attr === 'mainVideo' ? getTileMainValue(tile) : tile.dataset[attr]) : undefined;
+            const explicit = attr === 'thumbnailId' ? (tile.dataset.thumbnailProvider || tile.dataset.provider) : tile && tile.dataset.provider;
+            const provider = detectProvider(value, explicit);
+            return { provider, videoId: normalizeVideoId(provider, value) };
+        }
+
+        isAutoplayRestricted() {
+            const ua = navigator.userAgent || navigator.vendor || window.opera;
+            const isIOS = /iPad|iPhone|iPod/.test(ua) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+            const isAndroid = /Android/.test(ua);
+            const isMobileChrome = /Chrome\/\d+/.test(ua) && /Mobile/.test(ua);
+            return isIOS || isAndroid || isMobileChrome;
+        }
+
+        destroy() {
+            try {
+                if (this.currentPlayer) {
+                    this.currentPlayer.destroy();
+                    this.currentPlayer = null;
+                }
+                if (this.tileObserver) this.tileObserver.disconnect();
+                if (this.tileSyncFrameId) cancelFrame(this.tileSyncFrameId);
+                if (this.impressionObserver) this.impressionObserver.disconnect();
+                this.thumbnailWatchers.forEach(cancel => cancel());
+                this.thumbnailWatchers.clear();
+                if (this.loopObserver) this.loopObserver.disconnect();
+                loopPreferenceHandlers.delete(this.handleLoopPreferenceChange);
+                this.sharedListenerRemovers.forEach(remove => remove());
+                this.sharedListenerRemovers = [];
+                lightboxInstances.delete(this);
+            } catch (_) {}
+        }
+
+        // Document/window listeners go through the shared fan-out and are taken back in destroy()
+        listenShared(target, type, handler) {
+            this.sharedListenerRemovers.push(addSharedListener(target, type, handler));
+        }
+
+        // Pick the language and direction, then translate the strings that live in the markup
+        setupLocale() {
+            const langEl = this.lightbox.closest('[lang]');
+            this.locale = this.config.locale || (langEl && langEl.getAttribute('lang')) || 'en';
+            this.messages = resolveMessages(this.locale, this.config.messages, this.lightbox);
+            this.formatNumber = createNumberFormatter(this.locale);
+            this.formatPadded = createNumberFormatter(this.locale, { minimumIntegerDigits: 2 });
+            this.formatPercent = createNumberFormatter(this.locale, { style: 'percent' });
+            if (this.config.locale) this.lightbox.setAttribute('lang', this.locale);
+
+            // An explicit dir in the page wins; otherwise the language decides
+            const dirEl = this.lightbox.closest('[dir]');
+            const language = this.locale.toLowerCase().split('-')[0];
+            this.isRtl = dirEl ? dirEl.getAttribute('dir') === 'rtl' : RTL_LANGUAGES.includes(language);
+            if (this.isRtl && !dirEl) this.lightbox.setAttribute('dir', 'rtl');
+            this.lightbox.classList.toggle('is-rtl', this.isRtl);
+
+            STATIC_MESSAGES.forEach(([selector, textKey, labelKey]) => {
+                this.lightbox.querySelectorAll(selector).forEach(el => {
+                    if (textKey && !el.children.length) el.textContent = this.t(textKey);
+                    if (labelKey) el.setAttribute('aria-label', this.t(labelKey));
+                });
+            });
+            this.lightbox.setAttribute('aria-label', this.t('videoPlayer'));
+        }
+
+        // Look up a message and fill its {name} placeholders; unknown keys come back as-is
+        t(key, params) {
+            const message = key in this.messages ? this.messages[key] : key;
+            if (!params) return message;
+            return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+        }
+
+        logMissingElements() {
+            const requiredElements = [
+                { name: 'videoFrame', element: this.videoFrame },
+                { name: 'videoTitle', element: this.videoTitle },
                 { name: 'playBtn', element: this.playBtn },
                 { name: 'closeBtn', element: this.closeBtn },
                 { name: 'controls', element: this.controls }
@@ -215,11 +1567,40 @@ function initLightbox() {
                 }
 
                 // Keyboard controls
-                document.addEventListener('keydown', (e) => {
-                    if (e.key === 'Escape' && this.lightbox && this.lightbox.classList.contains('active')) {
-                        this.closeLightbox();
-                    }
-                });
+                this.listenShared(document, 'keydown', (e) => this.handleKeydown(e));
+
+                // Any pointer, touch or focus activity brings idle controls back
+                if (this.playerContainer) {
+                    ['mousemove', 'mousedown', 'touchstart'].forEach(type => {
+                        this.playerContainer.addEventListener(type, () => this.registerActivity(), { passive: true });
+                    });
+                }
+                this.lightbox.addEventListener('focusin', () => this.registerActivity());
+                if (this.controls) {
+                    this.controls.addEventListener('mouseenter', () => {
+                        this.isHoveringControls = true;
+                        this.registerActivity();
+                    });
+                    this.controls.addEventListener('mouseleave', () => {
+                        this.isHoveringControls = false;
+                        this.scheduleControlsIdle();
+                    });
+                }
+
+                // Previous/next project navigation
+                if (this.prevBtn) {
+                    this.prevBtn.addEventListener('click', () => {
+                        this.lastUserGestureTs = Date.now();
+                        this.showPrevious();
+                    });
+                }
+                if (this.nextBtn) {
+                    this.nextBtn.addEventListener('click', () => {
+                        this.lastUserGestureTs = Date.now();
+                        this.showNext();
+                    });
+                }
+                this.setupSwipeNavigation();
 
                 // Play/pause button - rely on the tap to grant audio
                 if (this.playBtn) {
@@ -231,43 +1612,1394 @@ function initLightbox() {
                     if (DEBUG) console.warn('Play button not found');
                 }
 
-                // Mute/unmute button
-                // Mute/unmute button removed
+                // Mute/unmute button and volume slider
+                if (this.muteBtn) {
+                    this.muteBtn.addEventListener('click', () => {
+                        this.lastUserGestureTs = Date.now();
+                        this.toggleMute();
+                    });
+                }
+                if (this.volumeSlider) {
+                    this.volumeSlider.addEventListener('input', () => {
+                        this.setVolumeLevel(parseFloat(this.volumeSlider.value));
+                    });
+                }
+
+                // Click area: a click toggles play/pause once no second click follows; a double-click toggles fullscreen
+                if (this.clickArea) {
+                    let pendingClickId = null;
+                    this.clickArea.addEventListener('click', (e) => {
+                        if (e.detail > 1) return; // the second click of a double-click
+                        this.lastUserGestureTs = Date.now();
+                        clearTimeout(pendingClickId);
+                        pendingClickId = setTimeout(() => {
+                            pendingClickId = null;
+                            this.togglePlayPause();
+                        }, DOUBLE_TAP_MS);
+                    });
+                    this.clickArea.addEventListener('dblclick', () => {
+                        clearTimeout(pendingClickId);
+                        pendingClickId = null;
+                        this.toggleFullscreen();
+                    });
+                    this.setupTouchGestures();
+                }
+
+                // Fullscreen and picture-in-picture
+                if (this.fullscreenBtn) {
+                    this.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+                }
+                if (this.pipBtn) {
+                    this.pipBtn.addEventListener('click', () => this.togglePictureInPicture());
+                }
+                // Resume prompt
+                if (this.resumeBtn) {
+                    this.resumeBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.lastUserGestureTs = Date.now();
+                        this.acceptResume();
+                    });
+                }
+                if (this.startOverBtn) {
+                    this.startOverBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.declineResume();
+                    });
+                }
+                this.listenShared(window, 'pagehide', () => {
+                    this.saveWatchPosition(true);
+                    // Closing the tab with a video open still ends its session; flush so video_close goes out too
+                    if (this.analytics && this.lightbox.classList.contains('active')) {
+                        this.endWatchSession();
+                        this.analytics.flush();
+                    }
+                });
+
+                // Retry after a failed load
+                if (this.retryBtn) {
+                    this.retryBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.lastUserGestureTs = Date.now();
+                        this.retryLoad();
+                    });
+                }
+
+                // End screen
+                if (this.endScreenNextBtn) {
+                    this.endScreenNextBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.lastUserGestureTs = Date.now();
+                        this.playEndScreenNext();
+                    });
+                }
+                if (this.endScreenCancelBtn) {
+                    this.endScreenCancelBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.cancelEndCountdown();
+                        if (this.endScreenNextBtn) this.endScreenNextBtn.focus();
+                    });
+                }
+                if (this.endScreenReplayBtn) {
+                    this.endScreenReplayBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.lastUserGestureTs = Date.now();
+                        this.replayVideo();
+                    });
+                }
+                if (this.endScreenCloseBtn) {
+                    this.endScreenCloseBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.closeLightbox();
+                    });
+                }
+
+                // Captions menu
+                if (this.ccBtn) {
+                    this.ccBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.toggleCaptionsMenu();
+                    });
+                }
+                this.listenShared(document, 'click', (e) => {
+                    if (this.captionsMenu && !this.captionsMenu.hidden && !this.captionsMenu.contains(e.target)) {
+                        this.closeCaptionsMenu();
+                    }
+                });
+
+                // Playback speed
+                if (this.speedSelect) {
+                    // A mouse/touch pick hands focus back so shortcuts work again; keyboard users keep focus
+                    let pickedWithPointer = false;
+                    this.speedSelect.addEventListener('pointerdown', () => { pickedWithPointer = true; });
+                    this.speedSelect.addEventListener('keydown', () => { pickedWithPointer = false; });
+                    this.speedSelect.addEventListener('change', () => {
+                        this.setPlaybackRate(parseFloat(this.speedSelect.value));
+                        if (pickedWithPointer) this.speedSelect.blur();
+                        pickedWithPointer = false;
+                    });
+                }
+
+                ['fullscreenchange', 'webkitfullscreenchange'].forEach(type => {
+                    this.listenShared(document, type, () => this.updateFullscreenButton());
+                });
+                this.updateFullscreenButton();
+
+                // Allow clicking the entire project tile to open (works when media wrapper has pointer-events: none).
+                // Delegated, so tiles added later by CMS pagination, "load more" or filters open too.
+                this.syncTiles();
+                if (DEBUG) console.log(`Found ${this.projectTiles.length} project tiles`);
+                this.listenShared(document, 'click', (e) => this.handleTileClick(e));
+                this.listenShared(document, 'keydown', (e) => this.handleTileKeydown(e));
+                this.listenShared(document, 'mouseover', (e) => this.handleTileHover(e, true));
+                this.listenShared(document, 'mouseout', (e) => this.handleTileHover(e, false));
+                this.listenShared(document, 'focusin', (e) => this.handleTileHover(e, true));
+                this.listenShared(document, 'focusout', (e) => this.handleTileHover(e, false));
+                
+
+                // Timeline interactions
+                this.setupTimelineEvents();
+                
+                // Window resize handler for thumbnails (hide static image on mobile when resizing)
+                this.listenShared(window, 'resize', () => this.handleMobileImageVisibility());
+                
+                if (DEBUG) console.log('Event listeners set up');
+            } catch (error) {
+                console.error('Error setting up event listeners:', error);
+            }
+        }
+
+        isTypingTarget(el) {
+            if (!el || el.nodeType !== 1) return false;
+            const tag = el.tagName;
+            // Sliders take no text, so shortcuts keep working after the volume slider is used
+            if (tag === 'INPUT' && el.type === 'range') return false;
+            return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+        }
+
+        /**
+         * Shortcuts while the lightbox is open:
+         * Esc close, Space/K play-pause, Left/Right previous/next project (-/+5s on the focused timeline),
+         * J/L -/+10s, Home/End start/end, 0-9 jump to 0-90%, Up/Down volume, M mute, F fullscreen,
+         * C captions, </> slower/faster, PageUp/PageDown previous/next chapter
+         */
+        handleKeydown(e) {
+            if (!this.lightbox || !this.lightbox.classList.contains('active')) return;
+            this.registerActivity();
+            if (e.key === 'Tab') {
+                this.trapFocus(e);
+                return;
+            }
+            // Escape works from any control, including form fields
+            if (e.key === 'Escape') {
+                // An open menu or a running countdown takes Escape first
+                if (this.captionsMenu && !this.captionsMenu.hidden) {
+                    this.closeCaptionsMenu();
+                    if (this.ccBtn) this.ccBtn.focus();
+                } else if (this.endCountdownId) {
+                    this.cancelEndCountdown();
+                } else {
+                    this.closeLightbox();
+                }
+                return;
+            }
+
+            if (this.isTypingTarget(e.target)) return;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            // A focused slider keeps its own arrow, Home/End and Page keys
+            if (e.target && e.target.type === 'range' && /^(Arrow|Home$|End$|Page)/.test(e.key)) return;
+
+            if (e.key === '<' || e.key === '>') {
+                const index = PLAYBACK_RATES.indexOf(this.playbackRate);
+                const next = PLAYBACK_RATES[(index === -1 ? PLAYBACK_RATES.indexOf(1) : index) + (e.key === '>' ? 1 : -1)];
+                if (next && this.currentPlayer) {
+                    e.preventDefault();
+                    this.setPlaybackRate(next);
+                }
+                return;
+            }
+
+            // Arrows switch projects unless the timeline slider has focus, where they seek
+            const onTimeline = e.target === this.timelineContainer;
+            if (!onTimeline && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                e.preventDefault();
+                if (e.key === 'ArrowLeft') {
+                    this.showPrevious();
+                } else {
+                    this.showNext();
+                }
+                return;
+            }
+
+            if (!this.currentPlayer) return;
+            const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+            switch (key) {
+                case ' ':
+                case 'k':
+                    // A focused button already toggles on Space via its own click
+                    if (key === ' ' && e.target && e.target.closest && e.target.closest('button, a')) return;
+                    this.lastUserGestureTs = Date.now();
+                    this.togglePlayPause();
+                    break;
+                // Arrows follow the timeline, which runs right to left in RTL
+                case 'ArrowLeft':
+                    this.seekBy(this.isRtl ? 5 : -5);
+                    break;
+                case 'ArrowRight':
+                    this.seekBy(this.isRtl ? -5 : 5);
+                    break;
+                case 'j':
+                    this.seekBy(-10);
+                    break;
+                case 'l':
+                    this.seekBy(10);
+                    break;
+                case 'Home':
+                    this.seek(0);
+                    this.showCenterToast(this.formatTime(0), 700);
+                    break;
+                case 'End':
+                    if (this.videoDuration <= 0) return;
+                    this.seek(this.videoDuration);
+                    this.showCenterToast(this.formatTime(this.videoDuration), 700);
+                    break;
+                case 'PageUp':
+                    if (this.chapters.length === 0) return;
+                    this.goToChapter(-1);
+                    break;
+                case 'PageDown':
+                    if (this.chapters.length === 0) return;
+                    this.goToChapter(1);
+                    break;
+                case 'ArrowUp':
+                    this.changeVolumeBy(0.1);
+                    break;
+                case 'ArrowDown':
+                    this.changeVolumeBy(-0.1);
+                    break;
+                case 'f':
+                    this.toggleFullscreen();
+                    break;
+                case 'c':
+                    if (this.captionTracks.length === 0) return;
+                    this.toggleCaptions();
+                    break;
+                case 'm':
+                    this.toggleMute();
+                    this.showCenterToast(this.t(this.isMuted ? 'muted' : 'unmuted'), 700);
+                    break;
+                default:
+                    if (/^[0-9]$/.test(key) && this.videoDuration > 0) {
+                        const fraction = parseInt(key, 10) / 10;
+                        this.seek(this.videoDuration * fraction);
+                        this.showCenterToast(this.formatPercent(fraction), 700);
+                        break;
+                    }
+                    return;
+            }
+            e.preventDefault();
+        }
+
+        getFocusableElements() {
+            const selector = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+            return Array.from(this.lightbox.querySelectorAll(selector)).filter(el => {
+                if (el.disabled || el.hidden) return false;
+                // Skip elements inside hidden controls (display: none) or otherwise not rendered
+                return el.getClientRects().length > 0;
+            });
+        }
+
+        // Keep Tab/Shift+Tab cycling inside the open dialog
+        trapFocus(e) {
+            const focusable = this.getFocusableElements();
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = document.activeElement;
+            const outside = !this.lightbox.contains(active);
+            if (e.shiftKey && (active === first || outside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (active === last || outside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        announce(message) {
+            if (!this.liveRegion || !message) return;
+            // Clear first so repeating the same message is announced again
+            this.liveRegion.textContent = '';
+            setTimeout(() => { this.liveRegion.textContent = message; }, 50);
+        }
+
+        isFullscreenSupported() {
+            return !!(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+        }
+
+        getFullscreenElement() {
+            return document.fullscreenElement || document.webkitFullscreenElement || null;
+        }
+
+        // Fullscreen the whole custom player (not the iframe) so our controls stay visible
+        toggleFullscreen() {
+            if (!this.playerContainer || !this.isFullscreenSupported()) return;
+            try {
+                if (this.getFullscreenElement()) {
+                    this.exitFullscreen();
+                } else if (this.playerContainer.requestFullscreen) {
+                    this.playerContainer.requestFullscreen().catch(() => {});
+                } else if (this.playerContainer.webkitRequestFullscreen) {
+                    this.playerContainer.webkitRequestFullscreen();
+                }
+            } catch (_) {}
+        }
+
+        exitFullscreen() {
+            if (!this.getFullscreenElement()) return;
+            try {
+                if (document.exitFullscreen) {
+                    document.exitFullscreen().catch(() => {});
+                } else if (document.webkitExitFullscreen) {
+                    document.webkitExitFullscreen();
+                }
+            } catch (_) {}
+        }
+
+        updateFullscreenButton() {
+            const isFullscreen = !!this.getFullscreenElement() && this.getFullscreenElement() === this.playerContainer;
+            if (this.playerContainer) this.playerContainer.classList.toggle('is-fullscreen', isFullscreen);
+            if (!this.fullscreenBtn) return;
+            this.fullscreenBtn.hidden = !this.isFullscreenSupported();
+            const label = this.t(isFullscreen ? 'exitFullscreen' : 'fullscreen');
+            this.fullscreenBtn.textContent = label;
+            this.fullscreenBtn.setAttribute('aria-label', label);
+        }
+
+        // Rejections mean the video/account does not allow rate changes; hide the menu then
+        setPlaybackRate(rate) {
+            if (!this.currentPlayer || !isFinite(rate) || typeof this.currentPlayer.setPlaybackRate !== 'function') return;
+            this.currentPlayer.setPlaybackRate(rate).then(() => {
+                this.playbackRate = rate;
+                this.savePlaybackRate();
+                this.updateSpeedSelect();
+                this.showCenterToast(this.t('playbackRate', { rate: this.formatNumber(rate) }), 700);
+            }).catch(() => {
+                this.hideSpeedSelect();
+            });
+        }
+
+        // Re-apply the session's speed to a freshly loaded video (also probes whether rates are allowed)
+        applyPlaybackRate() {
+            if (!this.currentPlayer || typeof this.currentPlayer.setPlaybackRate !== 'function') {
+                this.hideSpeedSelect();
+                return;
+            }
+            this.currentPlayer.setPlaybackRate(this.playbackRate).then(() => {
+                if (this.speedSelect) this.speedSelect.hidden = false;
+                this.updateSpeedSelect();
+            }).catch(() => {
+                this.hideSpeedSelect();
+            });
+        }
+
+        hideSpeedSelect() {
+            if (this.speedSelect) this.speedSelect.hidden = true;
+        }
+
+        updateSpeedSelect() {
+            if (!this.speedSelect) return;
+            const value = String(this.playbackRate);
+            // Rates set elsewhere (e.g. the API) may not be in the menu
+            if (!Array.from(this.speedSelect.options).some(option => option.value === value)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = `${value}x`;
+                this.speedSelect.appendChild(option);
+            }
+            this.speedSelect.value = value;
+        }
+
+        loadPlaybackRate() {
+            try {
+                const rate = parseFloat(window.sessionStorage.getItem(PLAYBACK_RATE_STORAGE_KEY));
+                if (isFinite(rate) && rate > 0) return rate;
+            } catch (_) {}
+            return 1;
+        }
+
+        savePlaybackRate() {
+            try { window.sessionStorage.setItem(PLAYBACK_RATE_STORAGE_KEY, String(this.playbackRate)); } catch (_) {}
+        }
+
+        getTileThumbnail(tile) {
+            return tile.querySelector(this.options.selectors.thumbnail) || tile;
+        }
+
+        // Thumbnails of this instance's tiles (other galleries belong to their own instance)
+        getThumbnails() {
+            return Array.from(document.querySelectorAll(this.options.tileSelector))
+                .map(tile => tile.querySelector(this.options.selectors.thumbnail))
+                .filter(Boolean);
+        }
+
+        getCurrentTile() {
+            return this.projectTiles[this.currentTileIndex] || null;
+        }
+
+        // List the video's tracks and turn on the preferred (or per-tile default) language
+        setupCaptions() {
+            const player = this.currentPlayer;
+            if (!player || typeof player.getTextTracks !== 'function') {
+                this.renderCaptionsMenu();
+                return;
+            }
+            player.getTextTracks().then(tracks => {
+                if (this.currentPlayer !== player) return;
+                this.captionTracks = (tracks || []).filter(t => t.kind === 'captions' || t.kind === 'subtitles');
+                const tile = this.getCurrentTile();
+                const tileDefault = tile && tile.dataset.defaultCaptions;
+                const preferred = tileDefault || this.loadCaptionsPreference();
+                const track = preferred && preferred !== 'off' ? this.findCaptionTrack(preferred) : null;
+                if (track) {
+                    this.selectCaptionTrack(track.language, { remember: false });
+                } else {
+                    this.renderCaptionsMenu();
+                }
+            }).catch(() => {
+                this.captionTracks = [];
+                this.renderCaptionsMenu();
+            });
+        }
+
+        // Exact language match first, then the same base language (en matches en-US)
+        findCaptionTrack(language) {
+            const wanted = String(language).toLowerCase();
+            const base = wanted.split('-')[0];
+            return this.captionTracks.find(t => String(t.language).toLowerCase() === wanted) ||
+                this.captionTracks.find(t => String(t.language).toLowerCase().split('-')[0] === base) ||
+                null;
+        }
+
+        selectCaptionTrack(language, opts = {}) {
+            const { remember = true } = opts;
+            const player = this.currentPlayer;
+            if (!player) return;
+            const track = language ? this.findCaptionTrack(language) : null;
+            // When we draw cues ourselves the player must not draw them too
+            const request = track
+                ? player.enableTextTrack(track.language, track.kind, !this.config.renderCaptions)
+                : player.disableTextTrack();
+            Promise.resolve(request).then(() => {
+                this.activeCaptionLanguage = track ? track.language : null;
+                if (remember) this.saveCaptionsPreference(this.activeCaptionLanguage || 'off');
+                if (!track) this.renderCaptionCues([]);
+                this.renderCaptionsMenu();
+            }).catch(() => {});
+        }
+
+        toggleCaptions() {
+            if (this.activeCaptionLanguage) {
+                this.selectCaptionTrack(null);
+                this.showCenterToast(this.t('captionsOff'), 700);
+            } else {
+                const preferred = this.loadCaptionsPreference();
+                const track = (preferred && preferred !== 'off' && this.findCaptionTrack(preferred)) || this.captionTracks[0];
+                if (!track) return;
+                this.selectCaptionTrack(track.language);
+                this.showCenterToast(track.label || track.language, 700);
+            }
+        }
+
+        renderCaptionsMenu() {
+            const hasTracks = this.captionTracks.length > 0;
+            if (this.ccBtn) {
+                this.ccBtn.hidden = !hasTracks;
+                this.ccBtn.classList.toggle('is-active', !!this.activeCaptionLanguage);
+                this.ccBtn.setAttribute('aria-pressed', this.activeCaptionLanguage ? 'true' : 'false');
+            }
+            if (!this.captionsMenu) return;
+            this.captionsMenu.textContent = '';
+            if (!hasTracks) {
+                this.closeCaptionsMenu();
+                return;
+            }
+            const items = [{ language: null, label: this.t('off') }].concat(this.captionTracks);
+            items.forEach(track => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'captions-menu-item';
+                item.setAttribute('role', 'menuitemradio');
+                item.setAttribute('aria-checked', track.language === this.activeCaptionLanguage ? 'true' : 'false');
+                item.textContent = track.label || track.language;
+                item.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.selectCaptionTrack(track.language);
+                    this.closeCaptionsMenu();
+                    if (this.ccBtn) this.ccBtn.focus();
+                });
+                this.captionsMenu.appendChild(item);
+            });
+        }
+
+        toggleCaptionsMenu() {
+            if (!this.captionsMenu) return;
+            if (this.captionsMenu.hidden) {
+                this.captionsMenu.hidden = false;
+                if (this.ccBtn) this.ccBtn.setAttribute('aria-expanded', 'true');
+                const checked = this.captionsMenu.querySelector('[aria-checked="true"]');
+                if (checked) checked.focus();
+            } else {
+                this.closeCaptionsMenu();
+            }
+        }
+
+        closeCaptionsMenu() {
+            if (!this.captionsMenu) return;
+            this.captionsMenu.hidden = true;
+            if (this.ccBtn) this.ccBtn.setAttribute('aria-expanded', 'false');
+        }
+
+        // Our own cue rendering (config.renderCaptions); text only, one line per cue line
+        renderCaptionCues(cues) {
+            if (!this.captionsOverlay) return;
+            this.captionsOverlay.textContent = '';
+            if (!this.config.renderCaptions || !cues || cues.length === 0) {
+                this.captionsOverlay.classList.remove('active');
+                return;
+            }
+            cues.forEach(cue => {
+                String(cue.text || '').split('\n').forEach(line => {
+                    const lineEl = document.createElement('span');
+                    lineEl.className = 'captions-line';
+                    lineEl.textContent = line.replace(/<[^>]*>/g, '');
+                    this.captionsOverlay.appendChild(lineEl);
+                });
+            });
+            this.captionsOverlay.classList.add('active');
+        }
+
+        loadCaptionsPreference() {
+            try { return window.localStorage.getItem(CAPTIONS_STORAGE_KEY); } catch (_) { return null; }
+        }
+
+        saveCaptionsPreference(language) {
+            try { window.localStorage.setItem(CAPTIONS_STORAGE_KEY, language); } catch (_) {}
+        }
+
+        isResumeEnabled() {
+            const tile = this.getCurrentTile();
+            return !!this.config.resumePlayback && !(tile && tile.dataset.resume === 'false');
+        }
+
+        loadWatchPositions() {
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(POSITIONS_STORAGE_KEY) || '{}');
+                return stored && typeof stored === 'object' ? stored : {};
+            } catch (_) {
+                return {};
+            }
+        }
+
+        storeWatchPositions(positions) {
+            // Keep only the most recently watched entries
+            const keys = Object.keys(positions).sort((a, b) => (positions[b].at || 0) - (positions[a].at || 0));
+            keys.slice(MAX_STORED_POSITIONS).forEach(key => { delete positions[key]; });
+            try { window.localStorage.setItem(POSITIONS_STORAGE_KEY, JSON.stringify(positions)); } catch (_) {}
+        }
+
+        // Near the end counts as finished: the last 15 seconds or 5% of the video
+        isNearEnd(seconds, duration) {
+            return duration > 0 && seconds >= duration - Math.max(15, duration * 0.05);
+        }
+
+        saveWatchPosition(force = false) {
+            if (!this.currentVideoKey || !this.isResumeEnabled() || this.videoDuration <= 0) return;
+            const now = Date.now();
+            if (!force && now - this.lastPositionSaveTs < POSITION_SAVE_INTERVAL_MS) return;
+            this.lastPositionSaveTs = now;
+            // A pending, unanswered offer still stands, wherever autoplay has got to meanwhile
+            if (this.resumeOffer) return;
+
+            const positions = this.loadWatchPositions();
+            if (this.currentTime < MIN_RESUME_SECONDS || this.isNearEnd(this.currentTime, this.videoDuration)) {
+                delete positions[this.currentVideoKey];
+            } else {
+                positions[this.currentVideoKey] = { t: Math.floor(this.currentTime), d: Math.floor(this.videoDuration), at: now };
+            }
+            this.storeWatchPositions(positions);
+        }
+
+        clearWatchPosition(key) {
+            if (!key) return;
+            const positions = this.loadWatchPositions();
+            if (!(key in positions)) return;
+            delete positions[key];
+            this.storeWatchPositions(positions);
+        }
+
+        // Once the duration is known, offer the saved position (finished videos start over silently)
+        maybeOfferResume() {
+            if (!this.isResumeEnabled() || this.skipResumePrompt || !this.currentVideoKey) return;
+            const saved = this.loadWatchPositions()[this.currentVideoKey];
+            if (!saved || typeof saved.t !== 'number' || saved.t < MIN_RESUME_SECONDS) return;
+            if (this.isNearEnd(saved.t, this.videoDuration || saved.d)) {
+                this.clearWatchPosition(this.currentVideoKey);
+                return;
+            }
+            this.showResumePrompt(saved.t);
+        }
+
+        showResumePrompt(seconds) {
+            if (!this.resumeActions) return;
+            this.showCenterToast(this.t('resumeFrom', { time: this.formatTime(seconds) }), 8000);
+            // showCenterToast withdraws any offer, so make this one afterwards
+            this.resumeOffer = seconds;
+            this.resumeActions.hidden = false;
+            this.announce(this.t('resumeAvailable', { time: this.formatTime(seconds) }));
+        }
+
+        hideResumePrompt() {
+            this.resumeOffer = 0;
+            if (this.resumeActions) this.resumeActions.hidden = true;
+        }
+
+        acceptResume() {
+            const seconds = this.resumeOffer;
+            this.hideResumePrompt();
+            this.toastLockUntil = 0;
+            this.hideCenterToast();
+            if (!seconds || !this.currentPlayer) return;
+            this.seek(seconds);
+            if (!this.isPlaying) this.togglePlayPause();
+        }
+
+        declineResume() {
+            this.hideResumePrompt();
+            this.toastLockUntil = 0;
+            this.hideCenterToast();
+            this.clearWatchPosition(this.currentVideoKey);
+        }
+
+        getEndAction() {
+            const tile = this.getCurrentTile();
+            const action = String((tile && tile.dataset.onEnd) || this.config.onEnd || 'none').toLowerCase().trim();
+            return END_ACTIONS.includes(action) ? action : 'none';
+        }
+
+        handleVideoEnd() {
+            // A playlist plays through its entries before the tile's end action applies
+            if (this.playlistIndex + 1 < this.playlist.length) {
+                this.showPlaylistEntry(this.playlistIndex + 1);
+                return;
+            }
+            const action = this.getEndAction();
+            if (action === 'replay') {
+                this.replayVideo();
+            } else if (action === 'close') {
+                this.closeLightbox();
+            } else if (action === 'next') {
+                this.showEndScreen();
+            }
+        }
+
+        // Resolve the tile's entries; tiles without data-playlist get a single entry and no strip
+        setPlaylist(tile, index = 0) {
+            this.playlist = tile ? getTilePlaylist(tile).map(entry => {
+                const provider = detectProvider(entry.value, tile.dataset.provider);
+                return { value: entry.value, title: entry.title, provider, videoId: normalizeVideoId(provider, entry.value) };
+            }) : [];
+            this.playlistIndex = this.playlist[index] ? index : 0;
+            this.renderPlaylist();
+        }
+
+        renderPlaylist() {
+            if (!this.playlistStrip) return;
+            const entries = this.playlist;
+            this.playlistStrip.hidden = entries.length < 2;
+            if (this.playlistItems) this.playlistItems.textContent = '';
+            if (entries.length < 2) return;
+            if (this.playlistCounter) this.playlistCounter.textContent = `${this.formatNumber(this.playlistIndex + 1)} / ${this.formatNumber(entries.length)}`;
+            if (!this.playlistItems) return;
+            entries.forEach((entry, index) => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'playlist-item';
+                item.textContent = entry.title || this.t('part', { number: this.formatNumber(index + 1) });
+                if (index === this.playlistIndex) item.setAttribute('aria-current', 'true');
+                item.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.lastUserGestureTs = Date.now();
+                    this.showPlaylistEntry(index);
+                });
+                this.playlistItems.appendChild(item);
+            });
+        }
+
+        // Jump to another entry of the open tile's playlist without closing the lightbox
+        showPlaylistEntry(index) {
+            const entry = this.playlist[index];
+            const tile = this.getCurrentTile();
+            if (!entry || !tile || index === this.playlistIndex) return;
+            this.switchVideo(entry.videoId, {
+                title: tile.dataset.title || '',
+                index: this.currentTileIndex,
+                tile,
+                provider: entry.provider,
+                playlistIndex: index
+            });
+            this.announce(this.t('playingEntry', {
+                title: entry.title || this.t('part', { number: this.formatNumber(index + 1) }),
+                count: this.formatNumber(this.playlist.length)
+            }));
+        }
+
+        // Cover art for the "up next" card: an <img> cover or a CSS background image
+        getTileCoverUrl(tile) {
+            const cover = tile ? tile.querySelector('.project-cover-img') : null;
+            if (!cover) return '';
+            const img = cover.tagName === 'IMG' ? cover : cover.querySelector('img');
+            if (img) return img.currentSrc || img.src || '';
+            const match = window.getComputedStyle(cover).backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+            return match ? match[1] : '';
+        }
+
+        showEndScreen() {
+            if (!this.endScreen) return;
+            const nextIndex = this.getAdjacentTileIndex(1);
+            const nextTile = this.projectTiles[nextIndex] || null;
+            this.endScreenNextIndex = nextTile ? nextIndex : -1;
+            if (this.endScreenNext) this.endScreenNext.hidden = !nextTile;
+            if (nextTile) {
+                const title = nextTile.dataset.title || '';
+                const coverUrl = this.getTileCoverUrl(nextTile);
+                if (this.endScreenTitle) this.endScreenTitle.textContent = title;
+                if (this.endScreenCover) this.endScreenCover.style.backgroundImage = coverUrl ? `url("${coverUrl}")` : '';
+                if (this.endScreenNextBtn) this.endScreenNextBtn.setAttribute('aria-label', this.t('playNext', { title: title || this.t('nextVideo') }));
+            }
+            this.hideCenterToast();
+            this.endScreen.hidden = false;
+            this.announce(nextTile && nextTile.dataset.title ? this.t('videoEndedUpNext', { title: nextTile.dataset.title }) : this.t('videoEnded'));
+            // Count down only towards a later tile, so an open lightbox never wraps round and plays forever
+            const countdown = Number(this.config.endScreenCountdown) || 0;
+            if (nextTile && nextIndex > this.currentTileIndex && countdown > 0) this.startEndCountdown(countdown);
+            try { (nextTile ? this.endScreenNextBtn : this.endScreenReplayBtn).focus({ preventScroll: true }); } catch (_) {}
+        }
+
+        hideEndScreen() {
+            this.cancelEndCountdown();
+            this.endScreenNextIndex = -1;
+            if (this.endScreen) this.endScreen.hidden = true;
+        }
+
+        startEndCountdown(seconds) {
+            this.cancelEndCountdown();
+            let remaining = Math.round(seconds);
+            const render = () => {
+                if (this.endScreenCountdownEl) this.endScreenCountdownEl.textContent = this.t('playingIn', { seconds: this.formatNumber(remaining) });
+            };
+            render();
+            if (this.endScreenCountdownEl) this.endScreenCountdownEl.hidden = false;
+            if (this.endScreenCancelBtn) this.endScreenCancelBtn.hidden = false;
+            this.endCountdownId = setInterval(() => {
+                remaining -= 1;
+                if (remaining > 0) {
+                    render();
+                    return;
+                }
+                this.playEndScreenNext();
+            }, 1000);
+        }
+
+        cancelEndCountdown() {
+            if (this.endCountdownId) {
+                clearInterval(this.endCountdownId);
+                this.endCountdownId = null;
+            }
+            if (this.endScreenCountdownEl) this.endScreenCountdownEl.hidden = true;
+            if (this.endScreenCancelBtn) this.endScreenCancelBtn.hidden = true;
+        }
+
+        playEndScreenNext() {
+            const index = this.endScreenNextIndex;
+            this.hideEndScreen();
+            if (index !== -1) this.showTileAt(index);
+        }
+
+        replayVideo() {
+            this.hideEndScreen();
+            if (!this.currentPlayer) return;
+            this.seek(0).then(() => {
+                if (!this.isPlaying) this.togglePlayPause();
+            }).catch(() => {});
+        }
+
+        // Parse "0:00 Intro;1:30 Build" (also h:mm:ss) into [{ startTime, title }]
+        parseChapterAttribute(value) {
+            if (!value) return [];
+            return String(value).split(';').map(entry => {
+                const match = entry.trim().match(/^((?:\d+:)?\d{1,2}:\d{2})\s+(.+)$/);
+                if (!match) return null;
+                const startTime = match[1].split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+                return { startTime, title: match[2].trim() };
+            }).filter(Boolean);
+        }
+
+        // Player chapters (Vimeo getChapters) win; the tile's data-chapters is the fallback
+        setupChapters() {
+            const player = this.currentPlayer;
+            // Tile attributes describe its first video; later playlist entries rely on the player
+            const tile = this.playlistIndex === 0 ? this.getCurrentTile() : null;
+            const fallback = this.parseChapterAttribute(tile && tile.dataset.chapters);
+            const apply = (chapters) => {
+                if (this.currentPlayer !== player) return;
+                this.chapters = chapters
+                    .map(c => ({ startTime: Number(c.startTime) || 0, title: String(c.title || '') }))
+                    .sort((a, b) => a.startTime - b.startTime);
+                this.currentChapterIndex = -1;
+                this.renderChapterMarkers();
+                this.updateCurrentChapter(this.currentTime);
+            };
+            if (!player || typeof player.getChapters !== 'function') {
+                apply(fallback);
+                return;
+            }
+            player.getChapters()
+                .then(chapters => apply(Array.isArray(chapters) && chapters.length > 0 ? chapters : fallback))
+                .catch(() => apply(fallback));
+        }
+
+        renderChapterMarkers() {
+            if (!this.timelineChapters) return;
+            this.timelineChapters.textContent = '';
+            if (this.videoDuration <= 0) return;
+            this.chapters.forEach(chapter => {
+                // The first chapter usually starts at 0:00; a marker there adds nothing
+                if (chapter.startTime <= 0 || chapter.startTime >= this.videoDuration) return;
+                const marker = document.createElement('div');
+                marker.className = 'timeline-chapter-marker';
+                marker.style.left = `${(chapter.startTime / this.videoDuration) * 100}%`;
+                this.timelineChapters.appendChild(marker);
+            });
+        }
+
+        getChapterIndexAt(seconds) {
+            let index = -1;
+            this.chapters.forEach((chapter, i) => {
+                if (seconds >= chapter.startTime) index = i;
+            });
+            return index;
+        }
+
+        updateCurrentChapter(seconds) {
+            const index = this.getChapterIndexAt(seconds);
+            if (index === this.currentChapterIndex) return;
+            this.currentChapterIndex = index;
+            if (this.chapterTitleEl) {
+                this.chapterTitleEl.textContent = index >= 0 ? this.chapters[index].title : '';
+            }
+        }
+
+        // Label for timeline hover/scrub: time plus the chapter it falls in
+        formatTimelineLabel(seconds) {
+            const index = this.getChapterIndexAt(seconds);
+            const time = this.formatTime(seconds);
+            return index >= 0 ? `${time} · ${this.chapters[index].title}` : time;
+        }
+
+        // Previous restarts the current chapter unless we are within its first 3 seconds
+        goToChapter(step) {
+            if (!this.currentPlayer || this.chapters.length === 0) return;
+            const index = this.getChapterIndexAt(this.currentTime);
+            let target = index + step;
+            if (step < 0 && index >= 0 && this.currentTime - this.chapters[index].startTime > 3) {
+                target = index;
+            }
+            const chapter = this.chapters[Math.max(0, target)];
+            if (!chapter || target >= this.chapters.length) return;
+            this.seek(chapter.startTime);
+            this.updateCurrentChapter(chapter.startTime);
+            this.showCenterToast(chapter.title, 900);
+        }
+
+        isPictureInPictureSupported() {
+            return !!document.pictureInPictureEnabled && !!this.currentPlayer &&
+                typeof this.currentPlayer.requestPictureInPicture === 'function';
+        }
+
+        togglePictureInPicture() {
+            if (!this.isPictureInPictureSupported()) return;
+            const request = this.isInPictureInPicture
+                ? this.currentPlayer.exitPictureInPicture()
+                : this.currentPlayer.requestPictureInPicture();
+            Promise.resolve(request).catch(() => {
+                // Player or video does not allow it after all (e.g. Vimeo account setting)
+                if (this.pipBtn) this.pipBtn.hidden = true;
+            });
+        }
+
+        exitPictureInPicture() {
+            if (!this.isInPictureInPicture || !this.currentPlayer) return;
+            try { Promise.resolve(this.currentPlayer.exitPictureInPicture()).catch(() => {}); } catch (_) {}
+            this.isInPictureInPicture = false;
+        }
+
+        updatePictureInPictureButton() {
+            if (!this.pipBtn) return;
+            this.pipBtn.hidden = !this.isPictureInPictureSupported();
+            const label = this.t(this.isInPictureInPicture ? 'exitPictureInPicture' : 'pictureInPicture');
+            this.pipBtn.textContent = this.t(this.isInPictureInPicture ? 'exitPip' : 'pip');
+            this.pipBtn.setAttribute('aria-label', label);
+        }
+
+        seekBy(delta) {
+            if (!this.currentPlayer) return;
+            this.seek(this.currentTime + delta);
+            this.showCenterToast(this.t('seekDelta', { delta: `${delta > 0 ? '+' : '-'}${this.formatNumber(Math.abs(delta))}` }), 700);
+        }
+
+        changeVolumeBy(delta) {
+            if (!this.currentPlayer) return;
+            const base = this.isMuted ? 0 : this.volume;
+            const volume = Math.round(Math.max(0, Math.min(1, base + delta)) * 100) / 100;
+            this.setVolumeLevel(volume);
+            this.showCenterToast(volume === 0 ? this.t('muted') : this.t('volumeLevel', { percent: this.formatPercent(volume) }), 700);
+        }
+
+        // User-chosen volume (slider/keys); 0 means muted, and the choice is remembered
+        setVolumeLevel(volume) {
+            const level = Math.max(0, Math.min(1, isFinite(volume) ? volume : 1));
+            this.isMuted = level === 0;
+            this.preferMuted = this.isMuted;
+            if (level > 0) this.volume = level;
+            if (this.currentPlayer) {
+                try { this.currentPlayer.setMuted(this.isMuted).catch(() => {}); } catch (_) {}
+                if (level > 0) {
+                    try { this.currentPlayer.setVolume(level).catch(() => {}); } catch (_) {}
+                }
+            }
+            this.updateMuteButtonLabel();
+            this.saveVolumePreference();
+        }
+
+        toggleMute() {
+            this.isMuted = !this.isMuted;
+            this.preferMuted = this.isMuted;
+            if (this.currentPlayer) {
+                try { this.currentPlayer.setMuted(this.isMuted).catch(() => {}); } catch (_) {}
+                if (!this.isMuted) {
+                    try { this.currentPlayer.setVolume(this.volume).catch(() => {}); } catch (_) {}
+                }
+            }
+            if (!this.isMuted) this.hideCenterToast();
+            this.updateMuteButtonLabel();
+            this.saveVolumePreference();
+        }
+
+        loadVolumePreference() {
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(VOLUME_STORAGE_KEY) || 'null');
+                if (stored && typeof stored.volume === 'number') {
+                    return { volume: Math.max(0.05, Math.min(1, stored.volume)), muted: !!stored.muted };
+                }
+            } catch (_) {}
+            return { volume: 1, muted: false };
+        }
+
+        saveVolumePreference() {
+            try {
+                window.localStorage.setItem(VOLUME_STORAGE_KEY, JSON.stringify({ volume: this.volume, muted: this.preferMuted }));
+            } catch (_) {}
+        }
+
+        getTileAnalyticsParams(tile) {
+            return {
+                video_id: tile ? getTileMainValue(tile) : undefined,
+                video_title: (tile && tile.dataset.title) || ''
+            };
+        }
+
+        // Sends an analytics event for the open video; no-op unless config.analytics is set
+        track(eventName, extra = {}) {
+            const session = this.watchSession;
+            if (!this.analytics || !session) return;
+            const params = Object.assign({}, session.params, {
+                video_current_time: Math.round(this.currentTime || 0),
+                video_duration: Math.round(this.videoDuration || 0)
+            }, extra);
+            this.analytics.track(eventName, params);
+        }
+
+        // One session per video shown: first play, milestones and watch time are counted per session
+        startWatchSession({ videoId, provider, title, tile }) {
+            if (!this.analytics) return;
+            const params = tile ? this.getTileAnalyticsParams(tile) : { video_id: videoId, video_title: title || '' };
+            params.video_provider = provider;
+            const entry = this.playlist[this.playlistIndex];
+            if (entry && this.playlist.length > 1) {
+                params.video_id = entry.value;
+                params.playlist_index = this.playlistIndex;
+            }
+            this.watchSession = { params, started: false, completed: false, milestones: [], watchTime: 0, lastTime: null, seekFrom: null };
+            this.track('video_open', { video_current_time: 0, video_duration: 0 });
+        }
+
+        endWatchSession() {
+            const session = this.watchSession;
+            if (!session) return;
+            this.track('video_close', { watch_time: Math.round(session.watchTime) });
+            this.watchSession = null;
+        }
+
+        recordWatchProgress(seconds) {
+            const session = this.watchSession;
+            if (!session) return;
+            // Count only small forward steps while playing, so seeks and resumes do not inflate watch time
+            if (this.isPlaying && session.lastTime !== null) {
+                const delta = seconds - session.lastTime;
+                if (delta > 0 && delta < 2) session.watchTime += delta;
+            }
+            session.lastTime = seconds;
+            if (!(this.videoDuration > 0)) return;
+            const percent = (seconds / this.videoDuration) * 100;
+            ANALYTICS_MILESTONES.forEach(milestone => {
+                if (percent < milestone || session.milestones.includes(milestone)) return;
+                session.milestones.push(milestone);
+                this.track('video_progress', { video_percent: milestone });
+            });
+        }
+
+        observeTileImpressions() {
+            if (!this.analytics || typeof IntersectionObserver === 'undefined') return;
+            // Half the tile on screen counts as one impression per page view
+            this.impressionObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.impressionObserver.unobserve(entry.target);
+                    this.analytics.track('video_impression', this.getTileAnalyticsParams(entry.target));
+                });
+            }, { threshold: 0.5 });
+            this.projectTiles.forEach(tile => this.impressionObserver.observe(tile));
+        }
+
+        handleTileClick(e) {
+            const tile = e.target && e.target.closest ? e.target.closest(this.options.tileSelector) : null;
+            if (!tile || !this.projectTiles.includes(tile)) return;
+            // The tile's own and its children's handlers still run; preventDefault keeps wrapping links from navigating
+            e.preventDefault();
+            if (DEBUG) console.log(`Project tile ${this.projectTiles.indexOf(tile) + 1} clicked`);
+            this.openLightbox(this.getTileThumbnail(tile));
+        }
+
+        handleTileKeydown(e) {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            if (!this.projectTiles.includes(e.target)) return;
+            e.preventDefault();
+            e.target.click();
+        }
+
+        // 'hover' loop mode: a tile's loop loads on its first hover or keyboard focus and pauses when that ends
+        handleTileHover(e, active) {
+            if (this.loopMode !== 'hover') return;
+            const tile = e.target && e.target.closest ? e.target.closest(this.options.tileSelector) : null;
+            if (!tile || !this.projectTiles.includes(tile)) return;
+            if (e.relatedTarget && tile.contains(e.relatedTarget)) return; // moving within the tile
+            const thumbnail = tile.querySelector(this.options.selectors.thumbnail);
+            if (!thumbnail) return;
+            if (active) {
+                this.hoveredThumbnails.add(thumbnail);
+                this.createThumbnailLoop(thumbnail);
+            } else {
+                this.hoveredThumbnails.delete(thumbnail);
+            }
+            // The stylesheet reveals the loop off this class, whatever the tile markup looks like
+            thumbnail.classList.toggle('loop-revealed', active);
+            this.updateLoopPlayback();
+        }
+
+        // Re-read the playable tiles in page order, keeping the open tile's index in step
+        syncTiles() {
+            const previous = this.projectTiles;
+            const openTile = this.getCurrentTile();
+            const current = Array.from(document.querySelectorAll(this.options.tileSelector)).filter(tile => getTileMainValue(tile));
+            const added = current.filter(tile => !previous.includes(tile));
+            previous.filter(tile => !current.includes(tile)).forEach(tile => this.releaseTile(tile));
+            this.projectTiles = current;
+            this.currentTileIndex = openTile ? current.indexOf(openTile) : -1;
+            added.forEach(tile => {
+                this.makeTileAccessible(tile);
+                if (this.impressionObserver) this.impressionObserver.observe(tile);
+            });
+            if (this.lightbox.classList.contains('active')) this.updateNavButtons();
+            return added;
+        }
+
+        // Tiles taken out of the page stop their loops; a filter that re-inserts them gets fresh ones
+        releaseTile(tile) {
+            if (this.impressionObserver) this.impressionObserver.unobserve(tile);
+            const thumbnail = tile.querySelector(this.options.selectors.thumbnail);
+            if (!thumbnail) return;
+            if (this.loopObserver) this.loopObserver.unobserve(thumbnail);
+            this.nearViewportThumbnails.delete(thumbnail);
+            this.hoveredThumbnails.delete(thumbnail);
+            thumbnail.classList.remove('loop-revealed');
+            this.removeThumbnailLoop(thumbnail);
+        }
+
+        removeThumbnailLoop(thumbnail) {
+            this.cancelThumbnailWatcher(thumbnail);
+            this.loopStates.delete(thumbnail);
+            this.loopRetries.delete(thumbnail);
+            thumbnail.querySelectorAll('iframe, video').forEach(media => {
+                if (media.tagName === 'VIDEO') {
+                    try { media.pause(); media.removeAttribute('src'); media.load(); } catch (_) {}
+                }
+                media.remove();
+            });
+        }
+
+        // Persistent watch for tiles inserted or removed after load (our own loop/player elements are ignored)
+        observeTiles() {
+            if (typeof MutationObserver === 'undefined') return;
+            const isOwnMedia = node => node.nodeType !== 1 || node.tagName === 'IFRAME' || node.tagName === 'VIDEO';
+            this.tileObserver = new MutationObserver((mutations) => {
+                if (this.tileSyncFrameId) return; // a re-scan is already scheduled
+                const relevant = mutations.some(m => !this.lightbox.contains(m.target)
+                    && (Array.from(m.addedNodes).some(n => !isOwnMedia(n)) || Array.from(m.removedNodes).some(n => !isOwnMedia(n))));
+                if (!relevant) return;
+                // Re-scan at most once per frame however much of the page changes
+                this.tileSyncFrameId = requestFrame(() => {
+                    this.tileSyncFrameId = null;
+                    const added = this.syncTiles();
+                    if (!added.length) return;
+                    if (DEBUG) console.log(`Picked up ${added.length} new project tiles`);
+                    this.initializeThumbnailIframes(added.map(tile => tile.querySelector(this.options.selectors.thumbnail)).filter(Boolean));
+                });
+            });
+            this.tileObserver.observe(document.body, { childList: true, subtree: true });
+        }
+
+        cancelThumbnailWatcher(thumbnail) {
+            const cancel = this.thumbnailWatchers.get(thumbnail);
+            if (!cancel) return;
+            cancel();
+            this.thumbnailWatchers.delete(thumbnail);
+        }
+
+        // Tiles are plain divs; expose them as buttons that open a dialog
+        makeTileAccessible(tile) {
+            if (!tile.hasAttribute('role')) tile.setAttribute('role', 'button');
+            if (!tile.hasAttribute('tabindex')) tile.setAttribute('tabindex', '0');
+            tile.setAttribute('aria-haspopup', 'dialog');
+            if (!tile.hasAttribute('aria-label') && tile.dataset.title) {
+                tile.setAttribute('aria-label', this.t('playVideo', { title: tile.dataset.title }));
+            }
+        }
+
+        setTitle(title) {
+            this.videoTitle.textContent = title;
+            this.lightbox.setAttribute('aria-label', title || this.t('videoPlayer'));
+        }
+
+        setupSwipeNavigation() {
+            const content = this.lightbox.querySelector('.lightbox-content');
+            if (!content) return;
+
+            let start = null;
+            content.addEventListener('touchstart', (e) => {
+                // Ignore multi-touch and touches on the control bar (timeline scrubbing)
+                if (e.touches.length !== 1 || (this.controls && this.controls.contains(e.target))) {
+                    start = null;
+                    return;
+                }
+                start = { x: e.touches[0].clientX, y: e.touches[0].clientY, ts: Date.now() };
+            }, { passive: true });
+
+            content.addEventListener('touchend', (e) => {
+                if (!start || this.isDragging) return;
+                const touch = e.changedTouches && e.changedTouches[0];
+                if (!touch) return;
+                const dx = touch.clientX - start.x;
+                const dy = touch.clientY - start.y;
+                const elapsed = Date.now() - start.ts;
+                start = null;
+                // Quick, mostly horizontal flicks only so vertical scrolls and slow drags are left alone
+                if (elapsed > 600 || Math.abs(dx) < this.config.swipeThreshold || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+                this.lastUserGestureTs = Date.now();
+                if (dx < 0) {
+                    this.showNext();
+                } else {
+                    this.showPrevious();
+                }
+            }, { passive: true });
+        }
+
+        // Touch gestures on the click area. Taps are handled here (the synthetic click is cancelled): a single
+        // tap runs togglePlayPause, so tap-to-unmute keeps working, once the double-tap window has passed;
+        // double taps seek by halves, a long press plays at 2x while held and a downward drag closes.
+        // Horizontal swipes are left to setupSwipeNavigation on .lightbox-content.
+        setupTouchGestures() {
+            const area = this.clickArea;
+            let touch = null; // { x, y, ts, dy, mode: 'tap' | 'press' | 'drag' | 'ignore', wake }
+            let lastTap = null; // { ts, side, total } - total seconds of the current double-tap run
+            let pendingTapId = null;
+            let pressId = null;
+
+            area.addEventListener('touchstart', (e) => {
+                clearTimeout(pressId);
+                if (e.touches.length !== 1) {
+                    if (touch && touch.mode === 'press') this.stopFastForward();
+                    touch = null;
+                    return;
+                }
+                // A tap on faded controls only brings them back (the container's own listener runs after this one)
+                const wake = !!this.playerContainer && this.playerContainer.classList.contains('is-idle');
+                touch = { x: e.touches[0].clientX, y: e.touches[0].clientY, ts: Date.now(), dy: 0, mode: 'tap', wake };
+                pressId = setTimeout(() => {
+                    if (touch && touch.mode === 'tap' && this.startFastForward()) touch.mode = 'press';
+                }, LONG_PRESS_MS);
+            }, { passive: true });
+
+            area.addEventListener('touchmove', (e) => {
+                if (!touch || (touch.mode !== 'tap' && touch.mode !== 'drag')) return;
+                const dx = e.touches[0].clientX - touch.x;
+                const dy = e.touches[0].clientY - touch.y;
+                if (touch.mode === 'tap') {
+                    if (Math.abs(dx) < TAP_MOVE_TOLERANCE_PX && Math.abs(dy) < TAP_MOVE_TOLERANCE_PX) return;
+                    clearTimeout(pressId);
+                    // Only a mostly vertical downward drag is ours
+                    touch.mode = dy > 0 && dy > Math.abs(dx) * 1.5 ? 'drag' : 'ignore';
+                }
+                if (touch.mode === 'drag') {
+                    touch.dy = Math.max(0, dy);
+                    this.followCloseDrag(touch.dy);
+                }
+            }, { passive: true });
 
-                // Click area for play/pause - play immediately on first tap
-                if (this.clickArea) {
-                    this.clickArea.addEventListener('click', () => {
-                        this.lastUserGestureTs = Date.now();
-                        this.togglePlayPause();
-                    });
+            area.addEventListener('touchend', (e) => {
+                clearTimeout(pressId);
+                if (!touch) return;
+                const { mode, dy, ts, wake } = touch;
+                touch = null;
+                if (mode === 'press') {
+                    e.preventDefault();
+                    this.stopFastForward();
+                    return;
                 }
+                if (mode === 'drag') {
+                    this.releaseCloseDrag(dy, Date.now() - ts);
+                    return;
+                }
+                if (mode !== 'tap') return;
 
-                // Allow clicking the entire project tile to open (works when media wrapper has pointer-events: none)
-                const projectTiles = document.querySelectorAll('.open-lightbox .project-data');
-                if (DEBUG) console.log(`Found ${projectTiles.length} project tiles`);
-                projectTiles.forEach((tile, index) => {
-                    const hasVideoId = tile && tile.dataset && tile.dataset.mainVideo;
-                    if (!hasVideoId) return;
-                    tile.addEventListener('click', (e) => {
-                        if (e && e.preventDefault) e.preventDefault();
-                        if (e && e.stopPropagation) e.stopPropagation();
-                        const thumbnail = tile.querySelector('.video-thumbnail') || tile;
-                        if (DEBUG) console.log(`Project tile ${index + 1} clicked`);
-                        this.openLightbox(thumbnail);
-                    });
-                });
-                
+                e.preventDefault();
+                if (wake) return;
+                this.lastUserGestureTs = Date.now();
+                const point = e.changedTouches[0];
+                const rect = area.getBoundingClientRect();
+                const side = point.clientX - rect.left < rect.width / 2 ? 'left' : 'right';
+                const now = Date.now();
+                if (lastTap && now - lastTap.ts < DOUBLE_TAP_MS) {
+                    clearTimeout(pendingTapId);
+                    pendingTapId = null;
+                    // Further taps on the same side keep adding to the run
+                    const total = lastTap.side === side && lastTap.total > 0 ? lastTap.total + DOUBLE_TAP_SEEK_SECONDS : DOUBLE_TAP_SEEK_SECONDS;
+                    lastTap = { ts: now, side, total };
+                    this.doubleTapSeek(side, total);
+                    return;
+                }
+                lastTap = { ts: now, side, total: 0 };
+                pendingTapId = setTimeout(() => {
+                    pendingTapId = null;
+                    this.togglePlayPause();
+                }, DOUBLE_TAP_MS);
+            });
 
-                // Timeline interactions
-                this.setupTimelineEvents();
-                
-                // Window resize handler for thumbnails (hide static image on mobile when resizing)
-                window.addEventListener('resize', () => this.handleMobileImageVisibility());
-                
-                if (DEBUG) console.log('Event listeners set up');
-            } catch (error) {
-                console.error('Error setting up event listeners:', error);
+            area.addEventListener('touchcancel', () => {
+                clearTimeout(pressId);
+                if (touch && touch.mode === 'press') this.stopFastForward();
+                if (touch && touch.mode === 'drag') this.releaseCloseDrag(0, 0);
+                touch = null;
+            });
+        }
+
+        // Left half goes back and right half forward (mirrored in RTL, like the timeline)
+        doubleTapSeek(side, total) {
+            if (!this.currentPlayer) return;
+            const forward = (side === 'right') !== !!this.isRtl;
+            this.seek(this.currentTime + (forward ? DOUBLE_TAP_SEEK_SECONDS : -DOUBLE_TAP_SEEK_SECONDS));
+            const delta = `${forward ? '+' : '-'}${this.formatNumber(total)}`;
+            this.showSeekRipple(side, this.t('seekDelta', { delta }));
+        }
+
+        showSeekRipple(side, label) {
+            const ripple = this.lightbox.querySelector(`.seek-ripple-${side}`);
+            if (!ripple) return;
+            const labelEl = ripple.querySelector('.seek-ripple-label') || ripple;
+            labelEl.textContent = label;
+            // Restart the animation on every tap of a run
+            ripple.classList.remove('active');
+            void ripple.offsetWidth;
+            ripple.classList.add('active');
+            clearTimeout(this.seekRippleTimeouts[side]);
+            this.seekRippleTimeouts[side] = setTimeout(() => ripple.classList.remove('active'), 600);
+        }
+
+        // Long press: LONG_PRESS_RATE while the finger stays down, then back to the viewer's speed (not saved)
+        startFastForward() {
+            if (!this.currentPlayer || !this.isPlaying || typeof this.currentPlayer.setPlaybackRate !== 'function') return false;
+            this.fastForwardRestoreRate = this.playbackRate;
+            this.currentPlayer.setPlaybackRate(LONG_PRESS_RATE).then(() => {
+                // Skip the toast if the finger lifted before the player caught up
+                if (this.fastForwardRestoreRate !== null) this.showCenterToast(this.t('playbackRate', { rate: this.formatNumber(LONG_PRESS_RATE) }), 60000); // cleared on release
+            }).catch(() => {
+                this.fastForwardRestoreRate = null;
+            });
+            return true;
+        }
+
+        stopFastForward() {
+            if (this.fastForwardRestoreRate === null) return;
+            const rate = this.fastForwardRestoreRate;
+            this.fastForwardRestoreRate = null;
+            if (this.currentPlayer) this.currentPlayer.setPlaybackRate(rate).catch(() => {});
+            this.toastLockUntil = 0;
+            this.hideCenterToast();
+        }
+
+        // Swipe down to close: the dialog follows the finger while the page shows through the overlay
+        followCloseDrag(dy) {
+            if (!this.lightboxContainer) return;
+            this.lightboxContainer.classList.remove('is-springing-back');
+            this.lightboxContainer.style.transform = `translateY(${dy}px)`;
+            const progress = Math.min(1, dy / (window.innerHeight || 1));
+            // The overlay's background is !important in the stylesheet
+            this.lightbox.style.setProperty('background', `rgba(0, 0, 0, ${1 - progress * 0.8})`, 'important');
+        }
+
+        // Far or fast enough closes; anything else springs back into place
+        releaseCloseDrag(dy, elapsed) {
+            if (!this.lightboxContainer) return;
+            const farEnough = dy > (window.innerHeight || 0) * SWIPE_CLOSE_DISTANCE;
+            const flicked = dy > SWIPE_CLOSE_FLICK_PX && elapsed < 250;
+            if (farEnough || flicked) {
+                this.lastUserGestureTs = Date.now();
+                this.closeLightbox();
+                // Put the dialog back once the overlay has faded out
+                setTimeout(() => this.resetCloseDrag(), 300);
+                return;
             }
+            this.lightboxContainer.classList.add('is-springing-back');
+            this.resetCloseDrag();
+            setTimeout(() => this.lightboxContainer.classList.remove('is-springing-back'), 300);
+        }
+
+        resetCloseDrag() {
+            if (this.lightboxContainer) this.lightboxContainer.style.transform = '';
+            this.lightbox.style.removeProperty('background');
         }
 
         setupTimelineEvents() {
@@ -297,6 +3029,7 @@ function initLightbox() {
                     if (this.timelineHoverTime) {
                         this.timelineHoverTime.style.opacity = '0';
                     }
+                    if (!this.isDragging) this.hideTimelinePreview();
                 });
 
                 // Timeline drag functionality: allow dragging from the whole container
@@ -312,13 +3045,13 @@ function initLightbox() {
                     startDrag(e);
                 });
 
-                document.addEventListener('mousemove', (e) => {
+                this.listenShared(document, 'mousemove', (e) => {
                     if (this.isDragging) {
                         this.handleTimelineDrag(e);
                     }
                 });
 
-                document.addEventListener('mouseup', () => {
+                this.listenShared(document, 'mouseup', () => {
                     if (this.isDragging) {
                         this.stopDragging();
                     }
@@ -334,14 +3067,14 @@ function initLightbox() {
                     e.preventDefault();
                 });
 
-                document.addEventListener('touchmove', (e) => {
+                this.listenShared(document, 'touchmove', (e) => {
                     if (this.isDragging) {
                         this.handleTimelineDrag(e.touches[0]);
                         e.preventDefault();
                     }
                 });
 
-                document.addEventListener('touchend', () => {
+                this.listenShared(document, 'touchend', () => {
                     if (this.isDragging) {
                         this.stopDragging();
                     }
@@ -353,12 +3086,17 @@ function initLightbox() {
             }
         }
 
+        // Pointer position along the track as a 0-1 fraction; in RTL the track runs right to left
+        getTimelineFraction(clientX) {
+            const rect = this.timelineTrack.getBoundingClientRect();
+            const offset = this.isRtl ? rect.right - clientX : clientX - rect.left;
+            return Math.max(0, Math.min(1, offset / rect.width));
+        }
+
         handleTimelineClick(e) {
             if (!this.currentPlayer || this.videoDuration === 0) return;
 
-            const rect = this.timelineTrack.getBoundingClientRect();
-            const clickX = e.clientX - rect.left;
-            const percentage = Math.max(0, Math.min(1, clickX / rect.width));
+            const percentage = this.getTimelineFraction(e.clientX);
             const seekTime = percentage * this.videoDuration;
 
             this.currentPlayer.setCurrentTime(seekTime);
@@ -368,19 +3106,18 @@ function initLightbox() {
         handleTimelineHover(e) {
             if (!this.timelineContainer || this.videoDuration === 0) return;
 
-            const rect = this.timelineTrack.getBoundingClientRect();
-            const hoverX = e.clientX - rect.left;
-            const percentage = Math.max(0, Math.min(1, hoverX / rect.width));
+            const percentage = this.getTimelineFraction(e.clientX);
             const hoverTime = percentage * this.videoDuration;
 
             // Update hover time display
-            this.timelineHoverTime.textContent = this.formatTime(hoverTime);
+            this.timelineHoverTime.textContent = this.formatTimelineLabel(hoverTime);
             
             // Position hover time indicator
             const containerRect = this.timelineContainer.getBoundingClientRect();
             const relativeX = e.clientX - containerRect.left;
             this.timelineHoverTime.style.left = `${relativeX}px`;
             this.timelineHoverTime.style.opacity = '1';
+            this.showTimelinePreview(hoverTime, relativeX);
         }
 
         startDragging(e) {
@@ -397,9 +3134,7 @@ function initLightbox() {
         handleTimelineDrag(e) {
             if (!this.currentPlayer || this.videoDuration === 0) return;
 
-            const rect = this.timelineTrack.getBoundingClientRect();
-            const dragX = e.clientX - rect.left;
-            const percentage = Math.max(0, Math.min(1, dragX / rect.width));
+            const percentage = this.getTimelineFraction(e.clientX);
             const seekTime = percentage * this.videoDuration;
 
             // Seek continuously while dragging for scrubbing
@@ -410,93 +3145,362 @@ function initLightbox() {
             if (this.timelineHoverTime && this.timelineContainer) {
                 const containerRect = this.timelineContainer.getBoundingClientRect();
                 const relativeX = e.clientX - containerRect.left;
-                this.timelineHoverTime.textContent = this.formatTime(seekTime);
+                this.timelineHoverTime.textContent = this.formatTimelineLabel(seekTime);
                 this.timelineHoverTime.style.left = `${relativeX}px`;
                 this.timelineHoverTime.style.visibility = 'visible';
                 this.timelineHoverTime.style.opacity = '1';
+                this.showTimelinePreview(seekTime, relativeX);
             }
         }
 
         stopDragging() {
             this.isDragging = false;
             document.body.style.cursor = '';
+            this.scheduleControlsIdle();
             // Hide hover time after scrubbing ends
             if (this.timelineHoverTime) {
                 this.timelineHoverTime.style.opacity = '0';
                 this.timelineHoverTime.style.visibility = 'hidden';
             }
+            this.hideTimelinePreview();
+        }
+
+        updateBufferedPosition(fraction) {
+            if (!this.timelineBuffered) return;
+            this.timelineBuffered.style.width = `${Math.max(0, Math.min(1, fraction)) * 100}%`;
+        }
+
+        handleStallStart() {
+            // One pending indicator at a time; repeated bufferstart events do not stack
+            if (this.stallTimeoutId || this.isStalled) return;
+            this.stallTimeoutId = setTimeout(() => {
+                this.stallTimeoutId = null;
+                if (!this.currentPlayer) return;
+                this.isStalled = true;
+                if (this.playerContainer) this.playerContainer.classList.add('is-stalled');
+                if (this.timelineContainer) this.timelineContainer.setAttribute('aria-busy', 'true');
+                const provider = this.providers[this.currentProvider];
+                const loaderVisible = this.loading && this.loading.classList.contains('active');
+                if (provider && !provider.hasBufferingSpinner && this.loading && !loaderVisible) {
+                    this.loading.classList.add('active');
+                    this.stallShowsLoader = true;
+                }
+            }, STALL_INDICATOR_DELAY_MS);
+        }
+
+        clearStall() {
+            if (this.stallTimeoutId) {
+                clearTimeout(this.stallTimeoutId);
+                this.stallTimeoutId = null;
+            }
+            if (this.stallShowsLoader) this.hideLoading();
+            this.isStalled = false;
+            if (this.playerContainer) this.playerContainer.classList.remove('is-stalled');
+            if (this.timelineContainer) this.timelineContainer.removeAttribute('aria-busy');
+        }
+
+        /**
+         * Storyboard previews come from the tile: either a sprite sheet
+         * (data-storyboard-url + -width, -height, -columns, -interval) or a WebVTT
+         * thumbnails file (data-storyboard-vtt, cues like "sprite.jpg#xywh=0,0,160,90").
+         */
+        setupStoryboard() {
+            this.storyboard = null;
+            const tile = this.playlistIndex === 0 ? this.getCurrentTile() : null;
+            if (!tile || !this.timelinePreview) return;
+            const data = tile.dataset;
+
+            if (data.storyboardUrl) {
+                const width = parseInt(data.storyboardWidth, 10) || 160;
+                const height = parseInt(data.storyboardHeight, 10) || 90;
+                this.storyboard = {
+                    type: 'sprite',
+                    url: data.storyboardUrl,
+                    width,
+                    height,
+                    columns: parseInt(data.storyboardColumns, 10) || 10,
+                    interval: parseFloat(data.storyboardInterval) || 5
+                };
+                // Warm the cache so the first hover is not blank
+                const img = new Image();
+                img.src = data.storyboardUrl;
+                return;
+            }
+
+            if (data.storyboardVtt && typeof fetch === 'function') {
+                const storyboard = { type: 'vtt', cues: [] };
+                this.storyboard = storyboard;
+                fetch(data.storyboardVtt)
+                    .then(response => (response.ok ? response.text() : Promise.reject(new Error(`HTTP ${response.status}`))))
+                    .then(text => {
+                        storyboard.cues = this.parseThumbnailVtt(text, data.storyboardVtt);
+                    })
+                    .catch(error => {
+                        if (DEBUG) console.warn('Could not load storyboard VTT:', error);
+                        if (this.storyboard === storyboard) this.storyboard = null;
+                    });
+            }
+        }
+
+        parseVttTime(value) {
+            const parts = value.trim().split(':').map(parseFloat);
+            return parts.reduce((total, part) => total * 60 + part, 0);
+        }
+
+        parseThumbnailVtt(text, baseUrl) {
+            const cues = [];
+            const blocks = String(text).replace(/\r/g, '').split(/\n\n+/);
+            blocks.forEach(block => {
+                const lines = block.split('\n').filter(Boolean);
+                const timingIndex = lines.findIndex(line => line.indexOf('-->') !== -1);
+                if (timingIndex === -1 || !lines[timingIndex + 1]) return;
+                const [start, end] = lines[timingIndex].split('-->').map(part => this.parseVttTime(part.split(' ').filter(Boolean)[0] || part));
+                const [path, fragment] = lines[timingIndex + 1].trim().split('#');
+                let url;
+                try { url = new URL(path, new URL(baseUrl, window.location.href)).href; } catch (_) { url = path; }
+                const cue = { start, end, url, x: 0, y: 0, width: 0, height: 0 };
+                const xywh = fragment && fragment.match(/xywh=(\d+),(\d+),(\d+),(\d+)/);
+                if (xywh) {
+                    cue.x = parseInt(xywh[1], 10);
+                    cue.y = parseInt(xywh[2], 10);
+                    cue.width = parseInt(xywh[3], 10);
+                    cue.height = parseInt(xywh[4], 10);
+                }
+                cues.push(cue);
+            });
+            return cues;
+        }
+
+        // Image URL and crop rectangle for the frame at a given time, or null
+        getStoryboardFrame(seconds) {
+            const storyboard = this.storyboard;
+            if (!storyboard) return null;
+            if (storyboard.type === 'sprite') {
+                const index = Math.floor(seconds / storyboard.interval);
+                return {
+                    url: storyboard.url,
+                    x: (index % storyboard.columns) * storyboard.width,
+                    y: Math.floor(index / storyboard.columns) * storyboard.height,
+                    width: storyboard.width,
+                    height: storyboard.height
+                };
+            }
+            const cue = storyboard.cues.find(c => seconds >= c.start && seconds < c.end) ||
+                storyboard.cues[storyboard.cues.length - 1];
+            return cue || null;
+        }
+
+        showTimelinePreview(seconds, relativeX) {
+            if (!this.timelinePreview || !this.timelineContainer) return;
+            const frame = this.getStoryboardFrame(seconds);
+            if (!frame) {
+                this.hideTimelinePreview();
+                return;
+            }
+            const width = frame.width || 160;
+            const height = frame.height || 90;
+            const preview = this.timelinePreview;
+            preview.style.width = `${width}px`;
+            preview.style.height = `${height}px`;
+            preview.style.backgroundImage = `url("${frame.url}")`;
+            // Without xywh the whole image is the frame
+            preview.style.backgroundPosition = frame.width ? `-${frame.x}px -${frame.y}px` : 'center';
+            preview.style.backgroundSize = frame.width ? 'auto' : 'cover';
+
+            // Keep the preview inside the timeline container
+            const containerWidth = this.timelineContainer.getBoundingClientRect().width;
+            const left = Math.max(0, Math.min(containerWidth - width, relativeX - width / 2));
+            preview.style.left = `${left}px`;
+            preview.classList.add('active');
+            this.timelineContainer.classList.add('has-preview');
+        }
+
+        hideTimelinePreview() {
+            if (this.timelinePreview) this.timelinePreview.classList.remove('active');
+            if (this.timelineContainer) this.timelineContainer.classList.remove('has-preview');
         }
 
         updateTimelinePosition(percentage) {
             const percentageStr = `${percentage * 100}%`;
             this.timelineProgress.style.width = percentageStr;
             this.timelineHandle.style.left = percentageStr;
+            this.updateTimelineAria(percentage * this.videoDuration);
+        }
+
+        // The timeline container is exposed as an ARIA slider measured in seconds
+        updateTimelineAria(seconds) {
+            if (!this.timelineContainer) return;
+            const now = Math.max(0, Math.round(seconds || 0));
+            this.timelineContainer.setAttribute('aria-valuemax', String(Math.round(this.videoDuration)));
+            this.timelineContainer.setAttribute('aria-valuenow', String(now));
+            this.timelineContainer.setAttribute('aria-valuetext', this.t('timeOf', { current: this.formatTime(now), total: this.formatTime(this.videoDuration) }));
         }
 
 
 
-        initializeThumbnailIframes() {
+        // Loops load lazily as tiles near the viewport; without IntersectionObserver they all load up front.
+        // In 'hover' mode they wait for handleTileHover and in 'off' mode they never load.
+        initializeThumbnailIframes(thumbnails = this.getThumbnails()) {
             if (DEBUG) console.log('Initializing thumbnail iframes');
-            
-            // Initialize iframes for all thumbnails (only called once)
-            const thumbnails = document.querySelectorAll('.open-lightbox .video-thumbnail');
             thumbnails.forEach(thumbnail => {
-                const projectData = thumbnail.closest('.project-data');
-                const mainVimeoId = projectData ? projectData.dataset.mainVideo : undefined;
-                const thumbnailId = projectData ? projectData.dataset.thumbnailId : undefined;
-                
-                if (DEBUG) console.log(`Initializing thumbnail with main ID: ${mainVimeoId}, thumbnail ID: ${thumbnailId}`);
-                
-                // Remove any existing iframes first
-                const existingIframes = thumbnail.querySelectorAll('iframe');
-                existingIframes.forEach(iframe => iframe.remove());
-                
-                // Defer iframe creation until thumbnail has layout size (no hard-coded sizing)
-                const hasSize = thumbnail.offsetWidth > 0 && thumbnail.offsetHeight > 0;
-                if (!hasSize) {
-                    if (DEBUG) console.log('Thumbnail has no size yet, deferring iframe creation');
-                    const startWhenSized = () => this.createLoopVideoIframe(thumbnail, thumbnailId);
-                    if (typeof ResizeObserver !== 'undefined') {
-                        const ro = new ResizeObserver(() => {
-                            if (thumbnail.offsetWidth > 0 && thumbnail.offsetHeight > 0) {
-                                ro.disconnect();
-                                startWhenSized();
-                            }
-                        });
-                        ro.observe(thumbnail);
+                thumbnail.classList.toggle('loop-on-hover', this.loopMode === 'hover');
+                if (this.loopMode !== 'autoplay') return;
+                if (this.loopObserver) {
+                    this.loopObserver.observe(thumbnail);
+                } else {
+                    this.createThumbnailLoop(thumbnail);
+                }
+            });
+        }
+
+        // Resolve config.thumbnailLoops against the viewer's current motion and data preferences
+        getLoopMode() {
+            const mode = this.config.thumbnailLoops;
+            if (LOOP_MODES.includes(mode)) return mode;
+            return prefersReducedLoops() ? 'hover' : 'autoplay';
+        }
+
+        applyLoopMode() {
+            const mode = this.getLoopMode();
+            if (mode === this.loopMode) return;
+            if (DEBUG) console.log(`Thumbnail loop mode: ${mode}`);
+            this.loopMode = mode;
+            // Hover tracking only runs in 'hover' mode, so start it afresh
+            this.hoveredThumbnails.clear();
+            this.getThumbnails().forEach(thumbnail => {
+                thumbnail.classList.remove('loop-revealed');
+                if (mode !== 'autoplay' && this.loopObserver) this.loopObserver.unobserve(thumbnail);
+                if (mode === 'off') this.removeThumbnailLoop(thumbnail);
+            });
+            // Re-observing reports every tile's intersection again
+            this.nearViewportThumbnails.clear();
+            this.initializeThumbnailIframes();
+            this.handleMobileImageVisibility();
+            this.updateLoopPlayback();
+        }
+
+        setupLoopObserver() {
+            if (typeof IntersectionObserver === 'undefined') return;
+            this.loopObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.nearViewportThumbnails.add(entry.target);
+                        this.createThumbnailLoop(entry.target);
                     } else {
-                        const pollId = setInterval(() => {
-                            if (thumbnail.offsetWidth > 0 && thumbnail.offsetHeight > 0) {
-                                clearInterval(pollId);
-                                startWhenSized();
-                            }
-                        }, 100);
-                        setTimeout(() => clearInterval(pollId), 10000);
+                        this.nearViewportThumbnails.delete(entry.target);
                     }
+                });
+                this.updateLoopPlayback();
+            }, { rootMargin: this.config.loopRootMargin });
+        }
+
+        // Create one thumbnail's loop, or keep the one it already has for the same video
+        createThumbnailLoop(thumbnail) {
+            const projectData = thumbnail.closest(this.options.tileSelector);
+            const mainVimeoId = projectData ? getTileMainValue(projectData) : undefined;
+            const { provider, videoId: thumbnailId } = projectData ? this.getTileVideo(projectData, 'thumbnailId') : {};
+            const loop = this.loopStates.get(thumbnail);
+            if (loop && loop.videoId === thumbnailId && thumbnail.contains(loop.element)) return;
+            if (this.thumbnailWatchers.has(thumbnail)) return; // already waiting for layout or a retry
+            if (thumbnail.classList.contains('video-failed')) return; // settled on the cover image
+            if (this.loopMode === 'off') return;
+            
+            if (DEBUG) console.log(`Initializing thumbnail with main ID: ${mainVimeoId}, thumbnail ID: ${thumbnailId} (${provider})`);
+            
+            // Remove any markup-provided or orphaned loop media first
+            const existingIframes = thumbnail.querySelectorAll('iframe, video');
+            existingIframes.forEach(iframe => iframe.remove());
+            
+            // Defer iframe creation until thumbnail has layout size (no hard-coded sizing)
+            const hasSize = thumbnail.offsetWidth > 0 && thumbnail.offsetHeight > 0;
+            if (!hasSize) {
+                if (DEBUG) console.log('Thumbnail has no size yet, deferring iframe creation');
+                const startWhenSized = () => {
+                    this.cancelThumbnailWatcher(thumbnail);
+                    this.createLoopVideoIframe(thumbnail, thumbnailId, provider);
+                };
+                if (typeof ResizeObserver !== 'undefined') {
+                    const ro = new ResizeObserver(() => {
+                        if (thumbnail.offsetWidth > 0 && thumbnail.offsetHeight > 0) {
+                            startWhenSized();
+                        }
+                    });
+                    ro.observe(thumbnail);
+                    this.thumbnailWatchers.set(thumbnail, () => ro.disconnect());
                 } else {
-                    this.createLoopVideoIframe(thumbnail, thumbnailId);
+                    const pollId = setInterval(() => {
+                        if (thumbnail.offsetWidth > 0 && thumbnail.offsetHeight > 0) {
+                            startWhenSized();
+                        }
+                    }, 100);
+                    const stopId = setTimeout(() => this.cancelThumbnailWatcher(thumbnail), 10000);
+                    this.thumbnailWatchers.set(thumbnail, () => {
+                        clearInterval(pollId);
+                        clearTimeout(stopId);
+                    });
                 }
+            } else {
+                this.createLoopVideoIframe(thumbnail, thumbnailId, provider);
+            }
+        }
+
+        // Play at most config.maxPlayingLoops loops near the viewport (in page order) and pause the rest;
+        // 'hover' mode plays only hovered/focused tiles. Everything pauses while any lightbox is open or the tab is hidden.
+        updateLoopPlayback() {
+            const lightboxOpen = Array.from(lightboxInstances).some(instance => instance.lightbox.classList.contains('active'));
+            const canPlay = !lightboxOpen && document.visibilityState !== 'hidden';
+            // Without IntersectionObserver every tile counts as visible, so a cap would pick arbitrary ones
+            const limit = this.loopObserver && this.config.maxPlayingLoops > 0 ? this.config.maxPlayingLoops : Infinity;
+            let playing = 0;
+            this.getThumbnails().forEach(thumbnail => {
+                if (!this.loopStates.has(thumbnail)) return;
+                const near = this.loopMode === 'hover'
+                    ? this.hoveredThumbnails.has(thumbnail)
+                    : !this.loopObserver || this.nearViewportThumbnails.has(thumbnail);
+                const shouldPlay = canPlay && near && playing < limit;
+                if (shouldPlay) playing++;
+                this.setLoopPlaying(thumbnail, shouldPlay);
             });
         }
 
-        recreateIframe() {
-            if (DEBUG) console.log('Recreating iframe element');
+        setLoopPlaying(thumbnail, playing, force = false) {
+            const loop = this.loopStates.get(thumbnail);
+            if (!loop || (loop.playing === playing && !force)) return;
+            loop.playing = playing;
+            const provider = this.providers[loop.provider];
+            const method = playing ? 'playLoopElement' : 'pauseLoopElement';
+            if (provider && typeof provider[method] === 'function') {
+                try { provider[method](loop.element); } catch (_) {}
+            }
+        }
+
+        // Replace the player host element; html5 providers use a <video> instead of an iframe
+        recreateIframe(tagName = 'iframe') {
+            if (DEBUG) console.log(`Recreating ${tagName} element`);
             
             // Get the parent container
             const videoPlayer = this.lightbox.querySelector('.custom-video-player');
             
-            // Remove the old iframe
-            if (this.videoFrame) {
-                this.videoFrame.remove();
+            // Remove the old iframe, keeping its id/classes so the configured frame selector still matches
+            const previousFrame = this.videoFrame;
+            if (previousFrame) {
+                previousFrame.remove();
             }
             
-            // Create a new iframe
-            const newIframe = document.createElement('iframe');
-            newIframe.className = 'video-frame';
-            newIframe.id = 'lightbox-iframe';
-            newIframe.src = '';
-            newIframe.frameBorder = '0';
-            newIframe.allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media';
+            // Create a new host element
+            const newIframe = document.createElement(tagName);
+            newIframe.className = (previousFrame && previousFrame.className) || 'video-frame';
+            if (previousFrame && previousFrame.id) newIframe.id = previousFrame.id;
+            // Keep Tab out of the embed; our own controls drive playback
+            newIframe.tabIndex = -1;
+            if (tagName === 'iframe') {
+                newIframe.src = '';
+                newIframe.frameBorder = '0';
+                newIframe.allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media';
+            } else {
+                newIframe.preload = 'metadata';
+                newIframe.playsInline = true;
+            }
             newIframe.setAttribute('playsinline', '1');
             
             // Insert it as the first child of the video player
@@ -511,6 +3515,7 @@ function initLightbox() {
             this.timelineContainer = this.lightbox.querySelector('.timeline-container');
             this.timelineTrack = this.lightbox.querySelector('.timeline-track');
             this.timelineProgress = this.lightbox.querySelector('.timeline-progress');
+            this.timelineBuffered = this.lightbox.querySelector('.timeline-buffered');
             this.timelineHandle = this.lightbox.querySelector('.timeline-handle');
             this.timelineHoverTime = this.lightbox.querySelector('.timeline-hover-time');
             
@@ -521,70 +3526,50 @@ function initLightbox() {
             }
         }
 
-        createLoopVideoIframe(thumbnail, thumbnailId) {
+        createLoopVideoIframe(thumbnail, thumbnailId, providerName = 'vimeo') {
             if (DEBUG) console.log(`Creating loop video iframe for: ${thumbnailId}`);
             
-            // Skip invalid thumbnail IDs
-            if (!thumbnailId || thumbnailId === 'INVALID_ID_FOR_TESTING' || thumbnailId === 'undefined') {
+            // Skip missing thumbnail IDs
+            if (!thumbnailId || thumbnailId === 'undefined') {
                 if (DEBUG) console.log('Skipping invalid thumbnail ID');
                 return;
             }
             
-            // Create iframe with loop video
-            const iframe = document.createElement('iframe');
-            iframe.src = `https://player.vimeo.com/video/${thumbnailId}?background=1&autoplay=1&loop=1&muted=1&controls=0&title=0&byline=0&portrait=0&playsinline=1`;
-            iframe.frameBorder = '0';
-            iframe.allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media';
-            iframe.setAttribute('playsinline', '1');
-            iframe.allowFullscreen = true;
-            iframe.setAttribute('data-vimeo-background', 'true');
-            
-            // Set positioning styles
-            iframe.style.position = 'absolute';
-            iframe.style.top = '-1%';
-            iframe.style.left = '-1%';
-            iframe.style.width = '102%';
-            iframe.style.height = '102%';
-            iframe.style.objectFit = 'cover';
-            iframe.style.transition = 'opacity 0.3s ease';
-            iframe.style.pointerEvents = 'none';
-            iframe.style.borderRadius = '8px';
-            iframe.style.zIndex = '2';
-            
-            // Handle iframe load errors (403, 404, etc.)
-            iframe.addEventListener('error', () => {
-                if (DEBUG) console.warn(`Failed to load thumbnail video: ${thumbnailId}`);
-                thumbnail.classList.add('video-failed');
-            });
-            
-            // Set a timeout to detect failed videos (403, private videos, etc.)
-            const errorTimeout = setTimeout(() => {
-                if (!isElementVisible(thumbnail)) return; // skip while hidden
-                if (!thumbnail.classList.contains('video-failed')) {
-                    if (DEBUG) console.warn(`Thumbnail video timeout: ${thumbnailId}`);
-                    thumbnail.classList.add('video-failed');
-                }
-            }, 5000);
+            const provider = this.providers[providerName];
+            if (!provider || typeof provider.createLoopElement !== 'function') {
+                if (DEBUG) console.log(`No loop support for provider: ${providerName}`);
+                return;
+            }
             
-            // Also handle load event to detect successful loading
-            iframe.addEventListener('load', () => {
-                // Clear the timeout since iframe loaded
-                clearTimeout(errorTimeout);
-                
-                // Additional check for error pages or empty content
-                setTimeout(() => {
-                    if (!isElementVisible(thumbnail)) return; // skip while hidden
-                    if (iframe.offsetHeight === 0 || iframe.offsetWidth === 0) {
-                        if (DEBUG) console.warn(`Thumbnail video has no dimensions: ${thumbnailId}`);
-                        thumbnail.classList.add('video-failed');
-                    } else {
-                        if (DEBUG) console.log(`Thumbnail video loaded: ${thumbnailId}`);
-                        
-                        // Hide static image on mobile after video loads
-                        this.hideStaticImageOnMobile(thumbnail);
-                    }
-                }, 1000);
-            });
+            // Create the provider's loop element (iframe embed or muted <video>)
+            const iframe = provider.createLoopElement(thumbnailId);
+            let settled = false;
+            let loadTimeout = null;
+
+            const onReady = () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(loadTimeout);
+                if (DEBUG) console.log(`Thumbnail video loaded: ${thumbnailId}`);
+                this.loopRetries.delete(thumbnail);
+                // Embeds autoplay; re-send a pause that may have arrived before the player could take it
+                const loop = this.loopStates.get(thumbnail);
+                if (loop && loop.element === iframe && !loop.playing) this.setLoopPlaying(thumbnail, false, true);
+                // Hide static image on mobile after video loads
+                this.hideStaticImageOnMobile(thumbnail);
+            };
+            const onError = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(loadTimeout);
+                this.handleLoopFailure(thumbnail, iframe, error);
+            };
+
+            // Never loading at all counts as a network failure (hidden tiles may legitimately not load yet)
+            loadTimeout = setTimeout(() => {
+                if (!isElementVisible(thumbnail)) return;
+                onError(createPlayerError('TimeoutError', `Thumbnail video timed out: ${thumbnailId}`));
+            }, LOOP_LOAD_TIMEOUT_MS);
             
             // Add to thumbnail (after the img element)
             const img = thumbnail.querySelector('img');
@@ -593,22 +3578,63 @@ function initLightbox() {
             } else {
                 thumbnail.appendChild(iframe);
             }
+
+            // Providers that can report typed errors do; other embeds only tell us they loaded
+            if (typeof provider.monitorLoopElement === 'function') {
+                provider.monitorLoopElement(iframe, onReady, onError);
+            } else {
+                iframe.addEventListener(iframe.tagName === 'VIDEO' ? 'loadeddata' : 'load', onReady);
+            }
             
+            this.loopStates.set(thumbnail, { element: iframe, provider: providerName, videoId: thumbnailId, playing: true });
+            this.updateLoopPlayback();
             if (DEBUG) console.log(`Loop video iframe created: ${iframe.src}`);
         }
 
+        // Network-ish failures retry with backoff; privacy/not-found (or exhausted retries) settle on the cover
+        handleLoopFailure(thumbnail, element, error) {
+            const kind = classifyPlayerError(error);
+            if (DEBUG) console.warn(`Thumbnail video failed (${kind}):`, error);
+            element.remove();
+            const loop = this.loopStates.get(thumbnail);
+            if (loop && loop.element === element) this.loopStates.delete(thumbnail);
+            const attempts = this.loopRetries.get(thumbnail) || 0;
+            if (RETRYABLE_ERRORS.includes(kind) && attempts < LOOP_MAX_RETRIES) {
+                this.loopRetries.set(thumbnail, attempts + 1);
+                const retryId = setTimeout(() => {
+                    this.thumbnailWatchers.delete(thumbnail);
+                    if (document.contains(thumbnail)) this.createThumbnailLoop(thumbnail);
+                }, LOOP_RETRY_BASE_MS * Math.pow(2, attempts));
+                this.thumbnailWatchers.set(thumbnail, () => clearTimeout(retryId));
+                return;
+            }
+            this.loopRetries.delete(thumbnail);
+            this.showThumbnailCover(thumbnail);
+        }
+
+        showThumbnailCover(thumbnail) {
+            thumbnail.classList.add('video-failed');
+            const tile = thumbnail.closest(this.options.tileSelector) || thumbnail.parentElement;
+            const cover = tile ? tile.querySelector('.project-cover-img') : null;
+            if (cover) {
+                cover.style.opacity = '';
+                cover.style.visibility = '';
+            }
+        }
+
         hideStaticImageOnMobile(thumbnail) {
             // Check if we're on mobile (screen width <= 768px)
             const isMobile = window.innerWidth <= 768;
 
             // Find sibling cover image within the same project tile
-            const thumbContainer = thumbnail.closest('.project-data') || thumbnail.parentElement;
+            const thumbContainer = thumbnail.closest(this.options.tileSelector) || thumbnail.parentElement;
             const cover = thumbContainer ? thumbContainer.querySelector('.project-cover-img') : null;
 
-            // The loop iframe lives inside the thumbnail
-            const iframe = thumbnail.querySelector('iframe');
+            // The loop iframe (or <video>) lives inside the thumbnail
+            const iframe = thumbnail.querySelector('iframe, video');
 
-            if (isMobile) {
+            // Hover-only loops stay hidden on mobile, so the image is all there is to see
+            if (isMobile && !thumbnail.classList.contains('loop-on-hover')) {
                 // Only hide if iframe exists and has loaded successfully
                 if (cover && iframe && iframe.offsetHeight > 0) {
                     if (DEBUG) console.log('Mobile detected - hiding static cover image');
@@ -616,7 +3642,7 @@ function initLightbox() {
                     cover.style.visibility = 'hidden';
                 }
             } else {
-                // On desktop, ensure image is visible
+                // On desktop (or with hover-only loops), ensure image is visible
                 if (cover) {
                     cover.style.opacity = '';
                     cover.style.visibility = '';
@@ -626,7 +3652,7 @@ function initLightbox() {
 
         handleMobileImageVisibility() {
             // Check all thumbnails when window is resized
-            const thumbnails = document.querySelectorAll('.open-lightbox .video-thumbnail');
+            const thumbnails = this.getThumbnails();
             thumbnails.forEach(thumbnail => {
                 this.hideStaticImageOnMobile(thumbnail);
             });
@@ -635,13 +3661,13 @@ function initLightbox() {
         debugThumbnailVideos() {
             if (DEBUG) console.log('Debugging thumbnail videos');
             
-            const thumbnails = document.querySelectorAll('.open-lightbox .video-thumbnail');
+            const thumbnails = this.getThumbnails();
             thumbnails.forEach((thumbnail, index) => {
-                const projectData = thumbnail.closest('.project-data');
+                const projectData = thumbnail.closest(this.options.tileSelector);
                 const title = projectData ? projectData.dataset.title : '';
-                const mainVideoId = projectData ? projectData.dataset.mainVideo : '';
+                const mainVideoId = projectData ? getTileMainValue(projectData) : '';
                 const loopVideoId = projectData ? projectData.dataset.thumbnailId : '';
-                const iframe = thumbnail.querySelector('iframe');
+                const iframe = thumbnail.querySelector('iframe, video');
                 
                 if (DEBUG) {
                     console.log(`Thumbnail ${index + 1}: ${title}`);
@@ -668,11 +3694,14 @@ function initLightbox() {
             });
         }
 
-        openLightbox(thumbnail) {
-            const projectData = thumbnail.closest('.project-data');
-            const vimeoId = projectData ? projectData.dataset.mainVideo : undefined;
+        openLightbox(thumbnail, opts = {}) {
+            const { startTime = 0, fromHistory = false } = opts;
+            const projectData = thumbnail ? thumbnail.closest(this.options.tileSelector) : null;
+            const tileVideo = projectData && !opts.videoId ? this.getTileVideo(projectData) : null;
+            const vimeoId = opts.videoId || (tileVideo ? tileVideo.videoId : undefined);
+            const provider = opts.provider || (tileVideo ? tileVideo.provider : detectProvider(vimeoId));
             const thumbnailId = projectData ? projectData.dataset.thumbnailId : undefined;
-            const title = projectData ? projectData.dataset.title : '';
+            const title = opts.title || (projectData ? projectData.dataset.title : '') || '';
             
             if (DEBUG) {
                 console.log(`Opening lightbox for: ${title}`);
@@ -681,13 +3710,22 @@ function initLightbox() {
             }
             
             // Update title
-            this.videoTitle.textContent = title;
+            this.setTitle(title);
+            this.currentTileIndex = this.projectTiles.indexOf(projectData);
+            this.updateNavButtons();
+            this.setPlaylist(projectData);
+            if (!fromHistory) this.pushVideoToUrl(projectData ? getTileMainValue(projectData) : vimeoId, startTime);
             
             // Mark gesture timestamp as early as possible to maximize the mobile gesture window
             this.lightboxOpenedAt = performance.now ? performance.now() : Date.now();
 
+            // Remember where focus came from so closing can hand it back
+            this.returnFocusEl = projectData || (document.activeElement !== document.body ? document.activeElement : null);
+
             // Show lightbox
             this.lightbox.classList.add('active');
+            lightboxInstances.forEach(instance => instance.updateLoopPlayback());
+            this.lightbox.setAttribute('aria-hidden', 'false');
             // Prefer GSAP ScrollSmoother lock if present; else fall back to HTML fixed lock
             try {
                 const smoother = (window.ScrollSmoother && typeof window.ScrollSmoother.get === 'function')
@@ -740,12 +3778,28 @@ function initLightbox() {
             // Load video (this should use the MAIN video ID, not the thumbnail ID)
             // Assume valid data per site contract; always try to load
             const shouldAutoplayDesktop = !this.isAutoplayRestricted();
-            this.loadVideo(vimeoId, { shouldAutoplayDesktop });
+            this.startWatchSession({ videoId: vimeoId, provider, title, tile: projectData });
+            this.loadVideo(vimeoId, { shouldAutoplayDesktop, startTime, provider });
+            // Move focus into the dialog; the close button is the only control shown before the player is ready
+            try { this.closeBtn.focus({ preventScroll: true }); } catch (_) {}
+            this.emit('open', { videoId: vimeoId, provider, title, tile: projectData });
         }
 
-                    closeLightbox() {
+                    closeLightbox(opts = {}) {
+                            const { fromHistory = false } = opts;
                             if (DEBUG) console.log('Closing lightbox');
+            if (!this.lightbox.classList.contains('active')) return;
+            const closedVideoId = this.currentVideoId;
+            const closedAt = this.currentTime;
+            this.endWatchSession();
+            // Leave fullscreen and picture-in-picture before the player is destroyed
+            this.exitFullscreen();
+            this.exitPictureInPicture();
+            // Return focus to the tile of the last video shown (it may differ from the opener after prev/next)
+            const focusTarget = this.projectTiles[this.currentTileIndex] || this.returnFocusEl;
+            this.returnFocusEl = null;
             this.lightbox.classList.remove('active');
+            this.lightbox.setAttribute('aria-hidden', 'true');
             // Unlock page scroll
             if (this.hadSmoother && this.smoother) {
                 // Remove lock classes first
@@ -780,12 +3834,35 @@ function initLightbox() {
                 document.documentElement.style.scrollBehavior = this.prevScrollBehavior || '';
             }
             
+            this.teardownPlayer();
+            this.currentTileIndex = -1;
+            this.setPlaylist(null);
+            if (!fromHistory) this.clearVideoFromUrl();
+            this.restoreScrollRestoration();
+            // After the scroll position is restored, so focusing does not scroll the page
+            if (focusTarget && typeof focusTarget.focus === 'function' && document.contains(focusTarget)) {
+                try { focusTarget.focus({ preventScroll: true }); } catch (_) {}
+            }
+            this.emit('close', { videoId: closedVideoId, currentTime: closedAt });
+            
+            // Resume the thumbnail loops that were paused while the lightbox was open
+            lightboxInstances.forEach(instance => instance.updateLoopPlayback());
+        }
+
+        // Destroy the current player and reset the player UI, leaving the overlay and scroll lock untouched
+        teardownPlayer() {
+            // Remember where the viewer stopped before the player goes away
+            this.saveWatchPosition(true);
+            this.hideResumePrompt();
+            this.currentVideoKey = null;
+
             // Clean up player
             if (this.currentPlayer) {
                 if (DEBUG) console.log('Destroying current player');
                 this.currentPlayer.destroy();
                 this.currentPlayer = null;
             }
+            this.currentVideoId = null;
             
             // Reset UI
             if (DEBUG) console.log('Recreating iframe element');
@@ -793,20 +3870,168 @@ function initLightbox() {
             this.resetControls();
             this.hideError();
             this.hideLoading();
-            
-            // Refresh thumbnail loop iframes after closing to ensure autoplay resumes
-            setTimeout(() => {
-                try {
-                    this.initializeThumbnailIframes();
-                } catch (e) {
-                    console.warn('⚠️ Could not reinitialize thumbnail iframes after close:', e);
+        }
+
+        getAdjacentTileIndex(step) {
+            const count = this.projectTiles.length;
+            if (count < 2 || this.currentTileIndex < 0) return -1;
+            const target = this.currentTileIndex + step;
+            if (target >= 0 && target < count) return target;
+            return this.config.wrapNavigation ? (target + count) % count : -1;
+        }
+
+        showPrevious() {
+            this.showTileAt(this.getAdjacentTileIndex(-1));
+        }
+
+        showNext() {
+            this.showTileAt(this.getAdjacentTileIndex(1));
+        }
+
+
+        // Swap the open lightbox over to another project tile without closing it
+        showTileAt(index) {
+            const tile = this.projectTiles[index];
+            if (!tile) return;
+            if (DEBUG) console.log(`Navigating to project tile ${index + 1}`);
+            const { provider, videoId } = this.getTileVideo(tile);
+            this.switchVideo(videoId, { title: tile.dataset.title || '', index, tile, provider });
+        }
+
+        switchVideo(videoId, opts = {}) {
+            const { title = '', index = -1, tile = null, startTime = 0, provider, playlistIndex = 0 } = opts;
+            if (!this.lightbox.classList.contains('active')) return;
+
+            this.endWatchSession();
+            this.teardownPlayer();
+            this.currentTileIndex = index;
+            this.setTitle(title);
+            this.setPlaylist(tile, playlistIndex);
+            this.updateNavButtons();
+            this.replaceVideoInUrl(tile ? getTileMainValue(tile) : videoId);
+
+            // Navigation is always user initiated, so desktop can autoplay like a fresh open
+            const shouldAutoplayDesktop = !this.isAutoplayRestricted();
+            this.startWatchSession({ videoId, provider, title, tile });
+            this.loadVideo(videoId, { shouldAutoplayDesktop, startTime, provider });
+            this.emit('navigate', { videoId, title, tile, playlistIndex });
+        }
+
+        updateNavButtons() {
+            const hasPrev = this.getAdjacentTileIndex(-1) !== -1;
+            const hasNext = this.getAdjacentTileIndex(1) !== -1;
+            if (this.prevBtn) this.prevBtn.hidden = !hasPrev;
+            if (this.nextBtn) this.nextBtn.hidden = !hasNext;
+        }
+
+        getDeepLinkFromUrl() {
+            const hash = (window.location.hash || '').replace(/^#/, '');
+            if (!hash) return null;
+            const params = new URLSearchParams(hash);
+            const videoId = params.get('video');
+            if (!videoId) return null;
+            const t = parseFloat(params.get('t'));
+            return { videoId, startTime: isFinite(t) && t > 0 ? t : 0 };
+        }
+
+        buildVideoUrl(vimeoId, startTime = 0) {
+            const params = new URLSearchParams();
+            params.set('video', vimeoId);
+            if (startTime > 0) params.set('t', String(Math.floor(startTime)));
+            return `${window.location.pathname}${window.location.search}#${params.toString()}`;
+        }
+
+        openFromUrl() {
+            const link = this.getDeepLinkFromUrl();
+            if (!link) return;
+            const tile = this.projectTiles.find(t => getTileMainValue(t) === link.videoId);
+            if (!tile) {
+                if (DEBUG) console.warn(`No project tile found for deep link: ${link.videoId}`);
+                return;
+            }
+            // The URL already points at this video, so there is no history entry to push
+            this.takeOverScrollRestoration();
+            this.openLightbox(this.getTileThumbnail(tile), { startTime: link.startTime, fromHistory: true });
+        }
+
+        handlePopState() {
+            if (this.ignoreNextPopState) {
+                this.ignoreNextPopState = false;
+                return;
+            }
+            const link = this.getDeepLinkFromUrl();
+            const isOpen = this.lightbox.classList.contains('active');
+            if (!link) {
+                // Back from an open video: close instead of leaving the page
+                this.pushedHistoryEntry = false;
+                if (isOpen) this.closeLightbox({ fromHistory: true });
+            } else if (!isOpen) {
+                // Forward onto a video entry (only the instance that owns the tile reacts)
+                const tile = this.projectTiles.find(t => getTileMainValue(t) === link.videoId);
+                if (tile) {
+                    this.pushedHistoryEntry = true;
+                    this.takeOverScrollRestoration();
+                    this.openLightbox(this.getTileThumbnail(tile), { startTime: link.startTime, fromHistory: true });
+                }
+            }
+        }
+
+        pushVideoToUrl(vimeoId, startTime = 0) {
+            if (!this.config.urlSync || !vimeoId) return;
+            try {
+                this.takeOverScrollRestoration();
+                history.pushState({ vimeoLightbox: true }, '', this.buildVideoUrl(vimeoId, startTime));
+                this.pushedHistoryEntry = true;
+            } catch (_) {}
+        }
+
+        replaceVideoInUrl(vimeoId) {
+            if (!this.config.urlSync || !vimeoId) return;
+            try { history.replaceState(history.state, '', this.buildVideoUrl(vimeoId)); } catch (_) {}
+        }
+
+        clearVideoFromUrl() {
+            if (!this.config.urlSync) return;
+            try {
+                if (this.pushedHistoryEntry) {
+                    // Pop our own entry so Back does not reopen the video; the resulting popstate is ours
+                    this.pushedHistoryEntry = false;
+                    this.ignoreNextPopState = true;
+                    history.back();
+                } else if (this.getDeepLinkFromUrl()) {
+                    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
                 }
-            }, 50);
+            } catch (_) {}
+        }
+
+        // The scroll lock restores the page position itself; stop the browser from also restoring it on Back
+        takeOverScrollRestoration() {
+            if (!('scrollRestoration' in history) || this.prevScrollRestoration !== null) return;
+            this.prevScrollRestoration = history.scrollRestoration;
+            history.scrollRestoration = 'manual';
+        }
+
+        restoreScrollRestoration() {
+            if (this.prevScrollRestoration === null) return;
+            const previous = this.prevScrollRestoration;
+            this.prevScrollRestoration = null;
+            // Defer until the history traversal from clearVideoFromUrl has settled
+            setTimeout(() => {
+                try { history.scrollRestoration = previous; } catch (_) {}
+            }, 100);
         }
 
         loadVideo(vimeoId, opts = {}) {
-            const { shouldAutoplayDesktop = false } = opts;
-            if (DEBUG) console.log(`Loading video: ${vimeoId}`);
+            const { shouldAutoplayDesktop = false, startTime = 0, provider: providerName = 'vimeo' } = opts;
+            if (DEBUG) console.log(`Loading ${providerName} video: ${vimeoId}`);
+            this.currentVideoId = vimeoId;
+            this.currentProvider = providerName;
+            this.lastLoadRequest = { videoId: vimeoId, opts };
+            // Watch positions are keyed by the tile's data-main-video (or the bare ID for API opens)
+            const tile = this.getCurrentTile();
+            const entry = this.playlist[this.playlistIndex];
+            this.currentVideoKey = entry ? entry.value : (tile ? getTileMainValue(tile) : vimeoId);
+            this.skipResumePrompt = startTime > 0;
             // Allow loader only for initial load before player is ready
             this.allowLoader = true;
             this.showLoading();
@@ -817,84 +4042,118 @@ function initLightbox() {
                 this.videoFrame.style.opacity = '1';
             }
             
-            // Check for invalid video ID
-            if (vimeoId === 'INVALID_VIDEO_ID_FOR_TESTING') {
-                this.showError();
+            if (!vimeoId) {
+                this.showError(createPlayerError('NotFoundError', 'No video ID'));
                 return;
             }
             
             // Verify iframe exists and is ready
             if (!this.videoFrame) {
                 console.error('No iframe found');
-                this.showError();
+                this.showError(new Error('No iframe found'));
                 return;
             }
             
-            // Set the iframe src with the full video ID
-            // Desktop: normal embed (no background)
-            // Mobile: background=1 to ensure inline rendering; rely on user tap to start
-            const restricted = this.isAutoplayRestricted();
-            // Use the normal embed on all platforms; background=1 disables audio
-            const embedUrl = `https://player.vimeo.com/video/${vimeoId}?autoplay=0&muted=0&controls=0&dnt=1&transparent=0&playsinline=1`;
-            if (DEBUG) console.log(`Setting iframe src: ${embedUrl}`);
-            this.videoFrame.src = embedUrl;
+            const provider = this.providers[providerName];
+            if (!provider || !provider.isAvailable()) {
+                console.error(`Video provider unavailable: ${providerName}`);
+                this.showError(new Error(`Video provider unavailable: ${providerName}`));
+                return;
+            }
+            
+            // Providers render into different host elements (iframe embed vs native <video>)
+            if (this.videoFrame.tagName.toLowerCase() !== provider.tagName) {
+                this.recreateIframe(provider.tagName);
+            }
             
-            // Initialize Vimeo player immediately
+            // Initialize the provider's player immediately
             try {
-                if (DEBUG) console.log('Creating new Vimeo player');
-                this.currentPlayer = new Vimeo.Player(this.videoFrame);
+                if (DEBUG) console.log(`Creating new ${providerName} player`);
+                const player = provider.createPlayer(this.videoFrame, vimeoId, { renderCaptions: !!this.config.renderCaptions });
+                this.currentPlayer = player;
                 // Ensure iframe allows autoplay inline
-                try { this.videoFrame.setAttribute('allow', 'autoplay; fullscreen; picture-in-picture; encrypted-media'); } catch (_) {}
+                if (provider.tagName === 'iframe') {
+                    try { this.videoFrame.setAttribute('allow', 'autoplay; fullscreen; picture-in-picture; encrypted-media'); } catch (_) {}
+                }
                 try { this.videoFrame.setAttribute('playsinline', '1'); } catch (_) {}
 
-                // Desktop: auto-play immediately within the same open click
+                // Desktop: auto-play immediately within the same open click, at the remembered volume
                 if (shouldAutoplayDesktop) {
                     try {
-                        this.currentPlayer.setMuted(false).catch(()=>{});
-                        this.currentPlayer.setVolume(1).catch(()=>{});
+                        this.currentPlayer.setMuted(this.preferMuted).catch(()=>{});
+                        this.currentPlayer.setVolume(this.volume).catch(()=>{});
                         this.currentPlayer.play().catch(()=>{});
                     } catch (_) {}
                 }
 
+                // A player that never becomes ready is reported as a network failure (with Retry)
+                const readyTimeout = setTimeout(() => {
+                    if (this.currentPlayer === player) this.showError(createPlayerError('TimeoutError', 'The player did not respond'));
+                }, PLAYER_READY_TIMEOUT_MS);
+
                 // Setup player events
                 this.currentPlayer.ready().then(() => {
+                    clearTimeout(readyTimeout);
+                    // Ignore a stale player that was torn down (e.g. by prev/next) before it became ready
+                    if (this.currentPlayer !== player) return;
                     if (DEBUG) console.log('Player ready');
                     this.allowLoader = false;
                     this.hideLoading();
+                    this.hideError(); // a late ready after the timeout recovers
                     this.setupPlayerEvents();
                     // Ensure iframe is visible on ready as a safeguard
                     if (this.videoFrame) {
                         this.videoFrame.style.opacity = '1';
                     }
-                    // Ensure default volume; sync muted state
-                    try { this.currentPlayer.setVolume(1).catch(() => {}); } catch (_) {}
+                    // Apply the remembered volume; sync muted state
+                    try { this.currentPlayer.setVolume(this.volume).catch(() => {}); } catch (_) {}
+                    if (this.preferMuted) {
+                        try { this.currentPlayer.setMuted(true).catch(() => {}); } catch (_) {}
+                    }
                     try {
                         if (typeof this.currentPlayer.getMuted === 'function') {
-                            this.currentPlayer.getMuted().then(m => { this.isMuted = !!m; });
+                            this.currentPlayer.getMuted().then(m => { this.isMuted = !!m; this.updateMuteButtonLabel(); });
                         } else {
-                            this.currentPlayer.getVolume().then(v => { this.isMuted = (v === 0); });
+                            this.currentPlayer.getVolume().then(v => { this.isMuted = (v === 0); this.updateMuteButtonLabel(); });
                         }
                     } catch (_) {}
-                    // Mobile: hint user to tap if muted
+                    this.emit('ready', { videoId: vimeoId });
+                    // Deep link offset
+                    if (startTime > 0) {
+                        try { this.currentPlayer.setCurrentTime(startTime).catch(() => {}); } catch (_) {}
+                    }
+                    // Mobile: hint user to tap if muted (unless they chose mute themselves)
                     try {
-                        if (this.isAutoplayRestricted() && this.isMuted) {
-                            this.showCenterToast('Tap to unmute', 1500);
+                        if (this.isAutoplayRestricted() && this.isMuted && !this.preferMuted) {
+                            this.showCenterToast(this.t('tapToUnmute'), 1500);
                         }
                     } catch (_) {}
                     // No auto-play here; rely on user tap
                 }).catch(error => {
+                    clearTimeout(readyTimeout);
+                    if (this.currentPlayer !== player) return;
                     console.error('Error loading video:', error);
-                    this.showError();
+                    this.showError(error);
                 });
 
                 // Show controls promptly; no auto-play pre-gesture
                 setTimeout(() => { this.showControls(); }, 300);
             } catch (error) {
                 console.error('Error creating player:', error);
-                this.showError();
+                this.showError(error);
             }
         }
 
+        // Re-run the last loadVideo after a failure, from a fresh player host
+        retryLoad() {
+            const request = this.lastLoadRequest;
+            if (!request || !this.lightbox.classList.contains('active')) return;
+            this.teardownPlayer();
+            this.loadVideo(request.videoId, request.opts);
+            // The Retry button is hidden again; keep focus inside the dialog
+            try { this.closeBtn.focus({ preventScroll: true }); } catch (_) {}
+        }
+
         // Removed sound gate overlay; audio is controlled only by the mute button on restricted devices
 
         setupPlayerEvents() {
@@ -905,15 +4164,28 @@ function initLightbox() {
             
             this.currentPlayer.on('play', () => {
                 this.isPlaying = true;
-                this.playBtn.textContent = 'Pause';
+                this.playBtn.textContent = this.t('pause');
                 this.hidePauseIndicator();
                 this.hideLoading();
+                this.hideEndScreen();
+                this.announce(this.t('playing'));
+                this.scheduleControlsIdle();
+                if (this.watchSession && !this.watchSession.started) {
+                    this.watchSession.started = true;
+                    this.track('video_start');
+                }
+                this.emit('play', { videoId: this.currentVideoId, currentTime: this.currentTime });
             });
             
             this.currentPlayer.on('pause', () => {
                 this.isPlaying = false;
-                this.playBtn.textContent = 'Play';
+                this.playBtn.textContent = this.t('play');
+                this.clearStall();
                 this.showPauseIndicator();
+                this.announce(this.t('paused'));
+                this.setControlsIdle(false);
+                this.track('video_pause');
+                this.emit('pause', { videoId: this.currentVideoId, currentTime: this.currentTime });
             });
             
             // Keep mute state in sync and update label
@@ -922,7 +4194,9 @@ function initLightbox() {
                     try {
                         const volume = typeof data === 'object' && data && typeof data.volume === 'number' ? data.volume : null;
                         if (volume !== null) {
-                            this.isMuted = volume === 0;
+                            // Newer players report muted separately from the volume level
+                            this.isMuted = typeof data.muted === 'boolean' ? (data.muted || volume === 0) : volume === 0;
+                            if (volume > 0) this.volume = volume;
                             this.updateMuteButtonLabel();
                         }
                     } catch (_) {}
@@ -930,6 +4204,7 @@ function initLightbox() {
             } catch (_) {}
 
             this.currentPlayer.on('timeupdate', (data) => {
+                this.currentTime = data.seconds;
                 const current = this.formatTime(data.seconds);
                 this.currentTimeEl.textContent = current;
                 
@@ -938,17 +4213,94 @@ function initLightbox() {
                     const percentage = data.seconds / this.videoDuration;
                     this.updateTimelinePosition(percentage);
                 }
+                this.updateCurrentChapter(data.seconds);
+                this.saveWatchPosition();
+                this.recordWatchProgress(data.seconds);
+                this.emit('timeupdate', { videoId: this.currentVideoId, currentTime: data.seconds, duration: this.videoDuration });
             });
             
             this.currentPlayer.getDuration().then(duration => {
                 this.videoDuration = duration;
                 const total = this.formatTime(duration);
                 this.totalTimeEl.textContent = total;
+                this.updateTimelineAria(this.currentTime);
+                this.renderChapterMarkers();
+                this.maybeOfferResume();
             });
             
-            // Do not show our loader on buffering to avoid duplicate with Vimeo's internal spinner
+            // Keep the speed menu in sync with rate changes from any source
+            this.currentPlayer.on('playbackratechange', (data) => {
+                const rate = data && typeof data.playbackRate === 'number' ? data.playbackRate : null;
+                if (rate === null) return;
+                this.playbackRate = rate;
+                this.updateSpeedSelect();
+            });
+            this.applyPlaybackRate();
+
+            // Captions: list tracks, apply the preferred language, and mirror cues into our overlay
+            this.currentPlayer.on('cuechange', (data) => {
+                this.renderCaptionCues(data && Array.isArray(data.cues) ? data.cues : []);
+            });
+            this.setupCaptions();
+            this.setupChapters();
+            this.setupStoryboard();
+
+            // Picture-in-picture state (Vimeo and native video both emit these)
+            this.currentPlayer.on('enterpictureinpicture', () => {
+                this.isInPictureInPicture = true;
+                this.updatePictureInPictureButton();
+            });
+            this.currentPlayer.on('leavepictureinpicture', () => {
+                this.isInPictureInPicture = false;
+                this.updatePictureInPictureButton();
+            });
+            this.updatePictureInPictureButton();
+
+            // Playback failures after ready (media errors, YouTube onError); Vimeo also reports rejected
+            // API calls here with a `method`, which are not fatal
+            this.currentPlayer.on('error', (error) => {
+                if (error && error.method) return;
+                this.showError(error);
+            });
+
+            // Loaded range behind the progress bar
+            this.currentPlayer.on('progress', (data) => {
+                if (data && typeof data.percent === 'number') this.updateBufferedPosition(data.percent);
+            });
+
+            // Do not show our loader on buffering to avoid duplicate with Vimeo's internal spinner;
+            // stalls get a delayed timeline pulse instead (plus our spinner only for players without one)
+            this.currentPlayer.on('bufferstart', () => this.handleStallStart());
+            this.currentPlayer.on('bufferend', () => this.clearStall());
+
+            // timeupdate reports the new position before seeked does, so note where the jump started
+            this.currentPlayer.on('seeking', () => {
+                const session = this.watchSession;
+                if (session && session.seekFrom === null) session.seekFrom = session.lastTime;
+            });
+            this.currentPlayer.on('seeked', (data) => {
+                // Scrubbing back from the end screen means the viewer wants this video, not the next
+                this.hideEndScreen();
+                const session = this.watchSession;
+                if (!session || !data || typeof data.seconds !== 'number') return;
+                const from = session.seekFrom !== null ? session.seekFrom : session.lastTime;
+                session.seekFrom = null;
+                this.track('video_seek', { video_seek_from: Math.round(from || 0), video_current_time: Math.round(data.seconds) });
+                // A jump is not watch time
+                session.lastTime = data.seconds;
+            });
 
-            // Do not auto-replay on end (no looping for full lightbox video)
+            // Never loop the full lightbox video; data-on-end / config.onEnd decides what follows
+            this.currentPlayer.on('ended', () => {
+                this.clearWatchPosition(this.currentVideoKey);
+                if (this.watchSession && !this.watchSession.completed) {
+                    this.watchSession.completed = true;
+                    this.track('video_complete', { video_percent: 100 });
+                }
+                this.emit('ended', { videoId: this.currentVideoId, duration: this.videoDuration });
+                this.setControlsIdle(false);
+                this.handleVideoEnd();
+            });
         }
 
         togglePlayPause() {
@@ -956,10 +4308,10 @@ function initLightbox() {
             
             if (this.isPlaying) {
                 // On mobile: if playing but muted, treat tap as unmute instead of pause
-                if (this.isAutoplayRestricted() && this.isMuted) {
+                if (this.isAutoplayRestricted() && this.isMuted && !this.preferMuted) {
                     Promise.resolve()
                         .then(() => { try { return this.currentPlayer.setMuted(false); } catch (_) {} })
-                        .then(() => { try { return this.currentPlayer.setVolume(1); } catch (_) {} })
+                        .then(() => { try { return this.currentPlayer.setVolume(this.volume); } catch (_) {} })
                         .then(() => { this.isMuted = false; this.updateMuteButtonLabel(); this.hideCenterToast(); })
                         .catch(()=>{});
                 } else {
@@ -967,11 +4319,11 @@ function initLightbox() {
                 }
             } else {
                 const restricted = this.isAutoplayRestricted();
-                if (restricted /* mobile */) {
+                if (restricted /* mobile */ && !this.preferMuted) {
                     Promise.resolve()
                         // Always force unmute+volume, then play (works whether currently muted or not)
                         .then(() => { try { return this.currentPlayer.setMuted(false); } catch (_) {} })
-                        .then(() => { try { return this.currentPlayer.setVolume(1); } catch (_) {} })
+                        .then(() => { try { return this.currentPlayer.setVolume(this.volume); } catch (_) {} })
                         .then(() => { try { return this.currentPlayer.play(); } catch (_) {} })
                         .then(() => { this.isMuted = false; this.updateMuteButtonLabel(); this.hideCenterToast(); })
                         .catch(() => { try { this.currentPlayer.play(); } catch (_) {} });
@@ -981,10 +4333,16 @@ function initLightbox() {
             }
         }
 
-        formatTime(seconds) {
-            const mins = Math.floor(seconds / 60);
-            const secs = Math.floor(seconds % 60);
-            return `${mins}:${secs.toString().padStart(2, '0')}`;
+        // Locale digits; hours show up for times (or whole videos) of an hour or more
+        formatTime(seconds, withHours = this.videoDuration >= 3600) {
+            const total = Math.max(0, Math.floor(seconds || 0));
+            const hours = Math.floor(total / 3600);
+            const mins = Math.floor((total % 3600) / 60);
+            const secs = total % 60;
+            if (hours > 0 || withHours) {
+                return `${this.formatNumber(hours)}:${this.formatPadded(mins)}:${this.formatPadded(secs)}`;
+            }
+            return `${this.formatNumber(mins)}:${this.formatPadded(secs)}`;
         }
 
         showLoading() {
@@ -1006,6 +4364,8 @@ function initLightbox() {
                 this.loadingTimeoutId = null;
             }
             this.loading.classList.remove('active');
+            // Whoever hid it, a stall no longer owns the loader
+            this.stallShowsLoader = false;
         }
 
         showPauseIndicator() {
@@ -1017,7 +4377,7 @@ function initLightbox() {
                 this.pauseTimeout = null;
             }
             
-            this.showCenterToast('Paused');
+            this.showCenterToast(this.t('paused'));
         }
 
         hidePauseIndicator() {
@@ -1034,6 +4394,8 @@ function initLightbox() {
             if (this.pauseText && typeof message === 'string') {
                 this.pauseText.textContent = message;
             }
+            // Any other message replaces a pending resume prompt
+            this.hideResumePrompt();
             this.pauseIndicator.classList.add('active');
             // Force visibility to avoid any CSS specificity issues
             this.pauseIndicator.style.opacity = '1';
@@ -1055,16 +4417,32 @@ function initLightbox() {
                 clearTimeout(this.pauseTimeout);
                 this.pauseTimeout = null;
             }
+            // An offer left unanswered lapses with its toast, so positions are saved again
+            this.hideResumePrompt();
             this.pauseIndicator.classList.remove('active');
             this.pauseIndicator.style.opacity = '';
             this.pauseIndicator.style.visibility = '';
             this.toastLockUntil = 0;
         }
 
-        showError() {
+        showError(error) {
+            const kind = classifyPlayerError(error);
+            this.emit('error', { videoId: this.currentVideoId, error: error || null, kind });
+            this.track('video_error', {
+                error_kind: kind,
+                error_name: (error && error.name) || 'Error',
+                error_message: (error && error.message) || ''
+            });
             this.hideLoading();
+            if (this.errorTextEl) this.errorTextEl.textContent = this.t(`${kind}ErrorTitle`);
+            if (this.errorSubtitleEl) this.errorSubtitleEl.textContent = this.t(`${kind}ErrorSubtitle`);
+            // Retrying cannot fix privacy settings or a missing video
+            if (this.retryBtn) this.retryBtn.hidden = !RETRYABLE_ERRORS.includes(kind) || !this.lastLoadRequest;
             if (this.errorPlaceholder) {
                 this.errorPlaceholder.classList.add('active');
+                // Just the message; the placeholder also holds the Retry button
+                const message = [this.errorTextEl, this.errorSubtitleEl].filter(Boolean).map(el => el.textContent.trim()).filter(Boolean);
+                this.announce(message.join(' '));
             }
             this.hideControls();
         }
@@ -1080,31 +4458,88 @@ function initLightbox() {
             if (this.controls) {
                 this.controls.style.display = 'none';
             }
+            // Hidden outright (loading, error state), so there is nothing left to fade or cursor to hide
+            this.setControlsIdle(false);
         }
 
         showControls() {
             if (this.controls) {
                 this.controls.style.display = '';
             }
+            this.registerActivity();
+        }
+
+        // Idle fading is a class on the player container; hideControls/showControls still own display
+        setControlsIdle(idle) {
+            if (this.controlsIdleTimeoutId) {
+                clearTimeout(this.controlsIdleTimeoutId);
+                this.controlsIdleTimeoutId = null;
+            }
+            if (this.playerContainer) this.playerContainer.classList.toggle('is-idle', idle);
+        }
+
+        registerActivity() {
+            this.setControlsIdle(false);
+            this.scheduleControlsIdle();
+        }
+
+        scheduleControlsIdle() {
+            const delay = this.config.controlsIdleTimeout;
+            if (!(delay > 0) || !this.isPlaying) return;
+            if (this.controlsIdleTimeoutId) clearTimeout(this.controlsIdleTimeoutId);
+            this.controlsIdleTimeoutId = setTimeout(() => {
+                this.controlsIdleTimeoutId = null;
+                if (this.canIdleControls()) this.setControlsIdle(true);
+            }, delay);
+        }
+
+        // Stay visible while paused, scrubbing, hovering the bar, using it from the keyboard or with a menu open
+        canIdleControls() {
+            if (!this.isPlaying || this.isDragging || this.isHoveringControls) return false;
+            if (!this.controls || this.controls.style.display === 'none') return false;
+            if (this.captionsMenu && !this.captionsMenu.hidden) return false;
+            const active = document.activeElement;
+            if (active && this.controls.contains(active)) {
+                try { if (active.matches(':focus-visible')) return false; } catch (_) { return false; }
+            }
+            return true;
         }
 
         resetControls() {
             if (this.playBtn) {
-                this.playBtn.textContent = 'Play';
+                this.playBtn.textContent = this.t('play');
             }
             // Reset mute to default muted state and button label
             this.isMuted = true;
             this.updateMuteButtonLabel();
             if (this.currentTimeEl) {
-                this.currentTimeEl.textContent = '0:00';
+                this.currentTimeEl.textContent = this.formatTime(0);
             }
             if (this.totalTimeEl) {
-                this.totalTimeEl.textContent = '0:00';
+                this.totalTimeEl.textContent = this.formatTime(0);
             }
             
             this.isPlaying = false;
             this.videoDuration = 0;
+            this.currentTime = 0;
+            this.isInPictureInPicture = false;
+            this.updatePictureInPictureButton();
+            this.captionTracks = [];
+            this.activeCaptionLanguage = null;
+            this.renderCaptionsMenu();
+            this.renderCaptionCues([]);
+            this.chapters = [];
+            this.currentChapterIndex = -1;
+            this.renderChapterMarkers();
+            if (this.chapterTitleEl) this.chapterTitleEl.textContent = '';
+            this.storyboard = null;
+            this.hideTimelinePreview();
+            this.clearStall();
+            this.updateBufferedPosition(0);
+            this.hideEndScreen();
             this.isDragging = false;
+            if (this.fastForwardRestoreRate !== null) this.playbackRate = this.fastForwardRestoreRate;
+            this.fastForwardRestoreRate = null;
             this.pauseTimeout = null;
             this.hidePauseIndicator();
             this.showControls();
@@ -1114,15 +4549,31 @@ function initLightbox() {
         }
 
         updateMuteButtonLabel() {
+            if (this.volumeSlider) {
+                const level = this.isMuted ? 0 : this.volume;
+                this.volumeSlider.value = String(level);
+                this.volumeSlider.setAttribute('aria-valuetext', this.isMuted ? this.t('muted') : this.formatPercent(level));
+                this.volumeSlider.style.setProperty('--volume-fill', `${level * 100}%`);
+            }
             if (!this.muteBtn) return;
             // Show text label; aria-label mirrors text
-            this.muteBtn.textContent = this.isMuted ? 'Unmute' : 'Mute';
-            this.muteBtn.setAttribute('aria-label', this.isMuted ? 'Unmute' : 'Mute');
+            const label = this.t(this.isMuted ? 'unmute' : 'mute');
+            this.muteBtn.textContent = label;
+            this.muteBtn.setAttribute('aria-label', label);
         }
     }
 
-    // Initialize the lightbox system
-    new VimeoLightbox();
+    // Initialize one lightbox per configured instance and expose them for site scripts
+    const lightboxes = instanceOptions.map(options => new VimeoLightbox(options)).filter(lightbox => lightbox.initialized);
+    if (!lightboxes.length) return;
+    window.vimeoLightbox = lightboxes[0];
+    window.vimeoLightboxes = lightboxes;
+    window.VimeoLightbox = VimeoLightbox;
+    lightboxes.forEach(lightbox => {
+        try {
+            document.dispatchEvent(new CustomEvent('vimeolightbox:ready', { detail: lightbox }));
+        } catch (_) {}
+    });
     if (DEBUG) console.log('Vimeo Lightbox system initialized');
 }
 
@@ -1130,14 +4581,42 @@ function initLightbox() {
 let initAttempts = 0;
 const maxAttempts = 10;
 
+// Check if basic elements exist for every configured lightbox
+function getLightboxElementStatus() {
+    const instanceOptions = getInstanceOptionsList();
+    return {
+        lightboxExists: instanceOptions.every(options => resolveElement(options.root)),
+        thumbnailsExist: instanceOptions.some(options => document.querySelectorAll(`${options.tileSelector} ${options.selectors.thumbnail}`).length > 0),
+        tilesExist: instanceOptions.some(options => document.querySelectorAll(options.tileSelector).length > 0)
+    };
+}
+
+// Observe DOM mutations for a late-inserted lightbox/tiles; disconnects as soon as a lightbox is running
+function observeDOMForLightbox() {
+    let frameId = null;
+    const observer = new MutationObserver(() => {
+        if (frameId) return;
+        frameId = requestFrame(() => {
+            frameId = null;
+            if (window.vimeoLightbox) {
+                observer.disconnect();
+                return;
+            }
+            const { lightboxExists, thumbnailsExist, tilesExist } = getLightboxElementStatus();
+            if (lightboxExists && (thumbnailsExist || tilesExist)) {
+                observer.disconnect();
+                initLightbox();
+            }
+        });
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+}
+
 function tryInitLightbox() {
     initAttempts++;
     if (DEBUG) console.log(`Lightbox initialization attempt ${initAttempts}/${maxAttempts}`);
     
-    // Check if basic elements exist
-    const lightboxExists = document.getElementById('lightbox');
-    const thumbnailsExist = document.querySelectorAll('.open-lightbox .video-thumbnail').length > 0;
-    const tilesExist = document.querySelectorAll('.open-lightbox .project-data').length > 0;
+    const { lightboxExists, thumbnailsExist, tilesExist } = getLightboxElementStatus();
     
     if (lightboxExists && (thumbnailsExist || tilesExist)) {
         if (DEBUG) console.log('Required elements found, initializing lightbox');
@@ -1150,6 +4629,8 @@ function tryInitLightbox() {
             setTimeout(tryInitLightbox, 500);
         } else {
             console.error('Failed to initialize lightbox. Check HTML structure.');
+            // CMS-driven pages may add the lightbox or tiles much later; initialize as soon as they appear
+            observeDOMForLightbox();
         }
     }
 }